@@ -8,7 +8,14 @@
  */
 
 import Command from '@ckeditor/ckeditor5-core/src/command';
+import Batch from '@ckeditor/ckeditor5-engine/src/model/batch';
+import Range from '@ckeditor/ckeditor5-engine/src/model/range';
 import { transformSets } from '@ckeditor/ckeditor5-engine/src/model/operation/transform';
+import { getOperationRoots } from './utils';
+
+// The estimated memory size (in bytes) of an operation, not counting the content it holds, and of a model element.
+const OPERATION_SIZE = 200;
+const ELEMENT_SIZE = 200;
 
 /**
  * Base class for undo feature commands: {@link module:undo/undocommand~UndoCommand} and {@link module:undo/redocommand~RedoCommand}.
@@ -26,6 +33,12 @@ export default class BaseCommand extends Command {
 		 * * {@link module:engine/model/batch~Batch batch} saved by the command,
 		 * * {@link module:engine/model/selection~Selection selection} state at the moment of saving the batch.
 		 *
+		 * The selection state stores the selection `ranges`, the `isBackward` flag, the selection `attributes`
+		 * (as an array of key-value pairs) and the `selectedElement`, for example, a selected widget.
+		 *
+		 * Each item also stores a `timestamp` of the moment when it was added to the stack, `mergedBatches` which were
+		 * {@link #mergeBatch merged} into the step and may store a human-readable `label` of the step, set by {@link #setLabel}.
+		 *
 		 * @protected
 		 * @member {Array} #_stack
 		 */
@@ -39,6 +52,122 @@ export default class BaseCommand extends Command {
 		 */
 		this._createdBatches = new WeakSet();
 
+		/**
+		 * The maximum number of items kept in the {@link #_stack}. When a new item exceeds this limit, the oldest items
+		 * are removed from the stack and the {@link #event:evict} event is fired.
+		 *
+		 * It is set from the {@link module:undo/undo~UndoConfig#stackSize `undo.stackSize`} configuration option.
+		 * If the option is not set, the stack is not limited.
+		 *
+		 * @member {Number} #stackSize
+		 */
+		this.stackSize = editor.config.get( 'undo.stackSize' ) || Number.POSITIVE_INFINITY;
+
+		/**
+		 * The maximum estimated memory size (in bytes) of the items kept in the {@link #_stack}. When it is exceeded,
+		 * the oldest items are removed from the stack and the {@link #event:evict} event is fired. The newest item is always kept.
+		 *
+		 * The size of an item is estimated from the number of its operations and the size of the content they insert,
+		 * including the attribute values, for example, the data URLs of images. The budget is checked when the items are
+		 * added or merged and after each change in the document, as the stored batches may get more operations.
+		 *
+		 * The old items are not merged into bigger steps to fit the budget, because a merged step still has to keep all
+		 * operations of its batches to revert them, so merging would not free any memory.
+		 *
+		 * It is set from the {@link module:undo/undo~UndoConfig#memoryBudget `undo.memoryBudget`} configuration option.
+		 * If the option is not set, the memory is not limited.
+		 *
+		 * @member {Number} #memoryBudget
+		 */
+		this.memoryBudget = editor.config.get( 'undo.memoryBudget' ) || Number.POSITIVE_INFINITY;
+
+		/**
+		 * The estimated memory sizes of the batches stored by the command, together with the number of operations
+		 * they were estimated for. The batches may get more operations after they were added to the stack.
+		 *
+		 * @private
+		 * @member {WeakMap.<module:engine/model/batch~Batch,Object>} #_batchSizes
+		 */
+		this._batchSizes = new WeakMap();
+
+		/**
+		 * The names of the roots changed by the batches stored by the command, together with the number of operations
+		 * they were found for. Like the {@link #_batchSizes sizes}, they are updated when the batches get more operations.
+		 *
+		 * @private
+		 * @member {WeakMap.<module:engine/model/batch~Batch,Object>} #_batchRoots
+		 */
+		this._batchRoots = new WeakMap();
+
+		/**
+		 * The statistics of removing items from the stack because they exceeded the {@link #memoryBudget}.
+		 * See {@link #getMemoryStats}.
+		 *
+		 * @private
+		 * @member {Object} #_compactionStats
+		 */
+		this._compactionStats = { compactions: 0, evictedItems: 0, freedSize: 0 };
+
+		/**
+		 * Whether the command keeps a separate stack for each {@link module:engine/model/rootelement~RootElement model root}.
+		 *
+		 * In this mode, a step belongs to the stacks of all roots changed by its batches. When the command is executed
+		 * without specifying a batch, it reverts the last step of the root in which the
+		 * {@link module:engine/model/document~Document#selection document selection} is.
+		 *
+		 * It is set from the {@link module:undo/undo~UndoConfig#perRoot `undo.perRoot`} configuration option.
+		 *
+		 * @readonly
+		 * @member {Boolean} #perRoot
+		 */
+		this.perRoot = !!editor.config.get( 'undo.perRoot' );
+
+		/**
+		 * Whether the command refuses to revert steps which later changes in the document would make only partly
+		 * (or not at all) revertible. Refused steps are kept in the stack and the {@link #event:outcome} event is fired.
+		 *
+		 * It is set from the {@link module:undo/undo~UndoConfig#refusePartial `undo.refusePartial`} configuration option.
+		 *
+		 * @member {Boolean} #refusePartial
+		 */
+		this.refusePartial = !!editor.config.get( 'undo.refusePartial' );
+
+		/**
+		 * The human-readable label of the step that will be reverted when the command is executed, for example `'Typing'`.
+		 * It is `null` if the stack is empty or the step has no label.
+		 *
+		 * See {@link module:undo/undoediting~UndoEditing#addLabeler}.
+		 *
+		 * @observable
+		 * @readonly
+		 * @member {String|null} #stepLabel
+		 */
+		this.set( 'stepLabel', null );
+
+		/**
+		 * The functions checking whether a model element is a nested editable with its own undo scope, by the scope names.
+		 * See {@link module:undo/undoediting~UndoEditing#addEditableScope}.
+		 *
+		 * @protected
+		 * @member {Map.<String,Function>} #_editableScopes
+		 */
+		this._editableScopes = new Map();
+
+		/**
+		 * The scoped elements touched by the operations of the batches. They are tracked by
+		 * {@link module:undo/undoediting~UndoEditing}, which shares the map between the undo and redo commands.
+		 *
+		 * @protected
+		 * @member {WeakMap.<module:engine/model/batch~Batch,Set.<module:engine/model/element~Element>>} #_touchedScopeElements
+		 */
+		this._touchedScopeElements = new WeakMap();
+
+		// The batches stored in the stack may get more operations after they were added (for example, while typing),
+		// so the memory budget is checked again after each change.
+		this.listenTo( editor.model.document, 'change', () => {
+			this._evictItems();
+		} );
+
 		// Refresh state, so the command is inactive right after initialization.
 		this.refresh();
 	}
@@ -47,13 +176,18 @@ export default class BaseCommand extends Command {
 	 * @inheritDoc
 	 */
 	refresh() {
-		this.isEnabled = this._stack.length > 0;
+		const stack = this._getCurrentStack();
+		const lastItem = stack[ stack.length - 1 ];
+
+		this.isEnabled = stack.length > 0;
+		this.stepLabel = lastItem && lastItem.label || null;
 	}
 
 	/**
 	 * Stores a batch in the command, together with the selection state of the {@link module:engine/model/document~Document document}
 	 * created by the editor which this command is registered to.
 	 *
+	 * @fires add
 	 * @param {module:engine/model/batch~Batch} batch The batch to add.
 	 */
 	addBatch( batch ) {
@@ -61,33 +195,471 @@ export default class BaseCommand extends Command {
 
 		const selection = {
 			ranges: docSelection.hasOwnRange ? Array.from( docSelection.getRanges() ) : [],
-			isBackward: docSelection.isBackward
+			isBackward: docSelection.isBackward,
+			attributes: Array.from( docSelection.getAttributes() ),
+			selectedElement: docSelection.hasOwnRange ? docSelection.getSelectedElement() : null
 		};
 
-		this._stack.push( { batch, selection } );
+		this._addItem( { batch, selection, timestamp: Date.now(), mergedBatches: [] } );
+	}
+
+	/**
+	 * Merges a batch into the last step stored in the stack, so the changes from both are reverted as a single step.
+	 * The selection state stored with the step is not changed. If the stack is empty, the batch is {@link #addBatch added}
+	 * as a new step.
+	 *
+	 * @param {module:engine/model/batch~Batch} batch The batch to merge.
+	 */
+	mergeBatch( batch ) {
+		const lastItem = this._stack[ this._stack.length - 1 ];
+
+		if ( !lastItem ) {
+			this.addBatch( batch );
+		} else {
+			lastItem.mergedBatches.push( batch );
+			this._evictItems();
+		}
+	}
+
+	/**
+	 * Moves a batch {@link #mergeBatch merged} into the last step stored in the stack to a new step. The selection state
+	 * from before the batch is not known, so the selection is not restored when the new step is reverted.
+	 *
+	 * @param {module:engine/model/batch~Batch} batch The batch merged into the last step.
+	 */
+	splitBatch( batch ) {
+		const lastItem = this._stack[ this._stack.length - 1 ];
+		const index = lastItem ? lastItem.mergedBatches.indexOf( batch ) : -1;
+
+		if ( index == -1 ) {
+			return;
+		}
+
+		lastItem.mergedBatches.splice( index, 1 );
+
+		this._addItem( {
+			batch,
+			selection: { ranges: [], isBackward: false, attributes: [], selectedElement: null },
+			timestamp: Date.now(),
+			mergedBatches: []
+		} );
+	}
+
+	/**
+	 * Sets a human-readable label of the step which stores given batch.
+	 *
+	 * @param {module:engine/model/batch~Batch} batch The batch stored in the stack.
+	 * @param {String} label The label describing the step.
+	 */
+	setLabel( batch, label ) {
+		for ( const item of this._getItems( batch ) ) {
+			item.label = label;
+		}
+
 		this.refresh();
 	}
 
 	/**
-	 * Removes all items from the stack.
+	 * Removes all items from the stack. If root names are given, only the items which change any of these roots are removed.
+	 *
+	 * @fires clear
+	 * @param {Array.<String>} [rootNames]
 	 */
-	clearStack() {
-		this._stack = [];
+	clearStack( rootNames ) {
+		const items = !rootNames ? this._stack : this._stack.filter( item => {
+			return this._getItemRoots( item ).some( rootName => rootNames.includes( rootName ) );
+		} );
+
+		this._stack = this._stack.filter( item => !items.includes( item ) );
 		this.refresh();
+
+		if ( items.length ) {
+			this.fire( 'clear', items );
+		}
+	}
+
+	/**
+	 * Checks what executing the command would change in the document, without changing it. The reversed operations are
+	 * transformed the same way as when the command is executed, but they are not applied.
+	 *
+	 *		const preview = editor.commands.get( 'undo' ).preview();
+	 *
+	 *		if ( preview && preview.summary.removed > 100 ) {
+	 *			showWarning( 'Undo will remove a lot of content.' );
+	 *		}
+	 *
+	 * Returns `null` if there is nothing to revert. Otherwise, returns an object with:
+	 *
+	 * * `status` &ndash; Whether the steps would be fully reverted. See {@link #_undo}.
+	 * * `ranges` &ndash; The ranges of the current document content which would be removed, moved or changed.
+	 * Content which would be inserted back is not included, as it is not in the document.
+	 * * `summary` &ndash; The numbers of nodes (or characters) which would be `inserted`, `removed` and `moved`,
+	 * and the keys of the `attributes` which would be changed.
+	 *
+	 * @param {module:engine/model/batch~Batch|Array.<module:engine/model/batch~Batch>} [batch] The batch (or batches) to check.
+	 * If not set, the step which would be reverted by executing the command without a batch is checked.
+	 * @returns {Object|null}
+	 */
+	preview( batch = null ) {
+		const items = batch ? this._getItems( batch ) : this._getCurrentStack().slice( -1 );
+
+		if ( !items.length ) {
+			return null;
+		}
+
+		const graveyard = this.editor.model.document.graveyard;
+		const { status, operations } = this._simulateUndo( items.slice().reverse().map( item => this._getStepBatch( item ) ) );
+		const ranges = [];
+		const summary = { inserted: 0, removed: 0, moved: 0, attributes: [] };
+
+		operations.forEach( ( operation, index ) => {
+			const range = getTargetRange( operation );
+
+			if ( range && range.root != graveyard ) {
+				// The operation would be applied after the previous ones, so its range is mapped back to the current document.
+				const previousOperations = operations.slice( 0, index ).reverse().map( previous => previous.getReversed() );
+
+				for ( const transformed of range.getTransformedByOperations( previousOperations ) ) {
+					if ( transformed.root != graveyard && !transformed.isCollapsed ) {
+						ranges.push( transformed );
+					}
+				}
+			}
+
+			addToSummary( summary, operation, graveyard );
+		} );
+
+		return { status, ranges, summary };
+	}
+
+	/**
+	 * Returns the estimated memory usage of the stack and the statistics of compacting it to fit the {@link #memoryBudget}:
+	 *
+	 * * `size` &ndash; The estimated size (in bytes) of all items in the stack.
+	 * * `budget` &ndash; The memory budget.
+	 * * `itemCount` &ndash; The number of items in the stack.
+	 * * `compactions` &ndash; How many times the stack was compacted.
+	 * * `evictedItems` &ndash; The total number of items removed by compactions.
+	 * * `freedSize` &ndash; The total estimated size (in bytes) of the items removed by compactions.
+	 *
+	 *		const stats = editor.commands.get( 'undo' ).getMemoryStats();
+	 *
+	 *		console.log( `Undo uses ${ stats.size } of ${ stats.budget } bytes.` );
+	 *
+	 * @returns {Object}
+	 */
+	getMemoryStats() {
+		return Object.assign( {
+			size: this._stack.reduce( ( size, item ) => size + this._getItemSize( item ), 0 ),
+			budget: this.memoryBudget,
+			itemCount: this._stack.length
+		}, this._compactionStats );
+	}
+
+	/**
+	 * Returns the stack items that store given batches (also as {@link #mergeBatch merged batches}), in the stack order.
+	 *
+	 * @protected
+	 * @param {module:engine/model/batch~Batch|Array.<module:engine/model/batch~Batch>} batches
+	 * @returns {Array.<Object>}
+	 */
+	_getItems( batches ) {
+		batches = Array.isArray( batches ) ? batches : [ batches ];
+
+		return this._stack.filter( item => {
+			return batches.includes( item.batch ) || item.mergedBatches.some( batch => batches.includes( batch ) );
+		} );
+	}
+
+	/**
+	 * Returns the stack items which change given root, in the stack order.
+	 *
+	 * @protected
+	 * @param {String} rootName
+	 * @returns {Array.<Object>}
+	 */
+	_getRootStack( rootName ) {
+		return this._stack.filter( item => this._getItemRoots( item ).includes( rootName ) );
+	}
+
+	/**
+	 * Returns the stack items which can be reverted by executing the command without specifying a batch. It is the whole
+	 * stack or, in the {@link #perRoot per-root mode}, the stack of the root in which the document selection is.
+	 *
+	 * If the selection is in a nested editable with its own {@link #_editableScopes undo scope}, only the items which changed
+	 * that editable are returned, unless there are none.
+	 *
+	 * @protected
+	 * @returns {Array.<Object>}
+	 */
+	_getCurrentStack() {
+		const selectionPosition = this.editor.model.document.selection.getFirstPosition();
+		const stack = this.perRoot ? this._getRootStack( selectionPosition.root.rootName ) : this._stack;
+
+		if ( !this._editableScopes.size ) {
+			return stack;
+		}
+
+		const scopeElement = selectionPosition.parent.getAncestors( { includeSelf: true, parentFirst: true } )
+			.find( element => this._isScopeElement( element ) );
+
+		const scopedStack = !scopeElement ? [] : stack.filter( item => {
+			return [ item.batch, ...item.mergedBatches ].some( batch => {
+				return this._touchedScopeElements.has( batch ) && this._touchedScopeElements.get( batch ).has( scopeElement );
+			} );
+		} );
+
+		return scopedStack.length ? scopedStack : stack;
+	}
+
+	/**
+	 * Checks whether the element is a nested editable with its own {@link #_editableScopes undo scope}.
+	 *
+	 * @protected
+	 * @param {module:engine/model/element~Element} element
+	 * @returns {Boolean}
+	 */
+	_isScopeElement( element ) {
+		return Array.from( this._editableScopes.values() ).some( isScopeElement => isScopeElement( element ) );
+	}
+
+	/**
+	 * Returns the names of the roots changed by the step.
+	 *
+	 * @protected
+	 * @param {Object} item The stack item.
+	 * @returns {Array.<String>}
+	 */
+	_getItemRoots( item ) {
+		return this._getRootNames( [ item.batch, ...item.mergedBatches ] );
+	}
+
+	/**
+	 * Returns the names of the roots changed by the document operations of given batches. The graveyard root is omitted.
+	 *
+	 * @protected
+	 * @param {Array.<module:engine/model/batch~Batch>} batches
+	 * @returns {Array.<String>}
+	 */
+	_getRootNames( batches ) {
+		const rootNames = new Set();
+
+		for ( const batch of batches ) {
+			const cached = this._batchRoots.get( batch ) || { operationCount: 0, rootNames: new Set() };
+
+			// Only the operations added to the batch since its roots were found last time are checked.
+			for ( const operation of batch.operations.slice( cached.operationCount ) ) {
+				if ( operation.isDocumentOperation ) {
+					getOperationRoots( operation ).forEach( root => cached.rootNames.add( root.rootName ) );
+				}
+			}
+
+			cached.operationCount = batch.operations.length;
+			this._batchRoots.set( batch, cached );
+
+			cached.rootNames.forEach( rootName => rootNames.add( rootName ) );
+		}
+
+		rootNames.delete( this.editor.model.document.graveyard.rootName );
+
+		return Array.from( rootNames );
+	}
+
+	/**
+	 * Returns a batch with all operations of given step. If other batches were {@link #mergeBatch merged} into the step,
+	 * a new batch is created, containing the document operations of all step batches in the order in which they were applied.
+	 *
+	 * @protected
+	 * @param {Object} item The stack item.
+	 * @returns {module:engine/model/batch~Batch}
+	 */
+	_getStepBatch( item ) {
+		if ( !item.mergedBatches.length ) {
+			return item.batch;
+		}
+
+		const stepBatch = new Batch( item.batch.type );
+
+		stepBatch.operations = [ item.batch, ...item.mergedBatches ]
+			.reduce( ( operations, batch ) => operations.concat( batch.operations ), [] )
+			.filter( operation => operation.isDocumentOperation )
+			.sort( ( a, b ) => a.baseVersion - b.baseVersion );
+
+		return stepBatch;
+	}
+
+	/**
+	 * Returns the ranges of the current document content changed by given applied operations, transformed by all operations
+	 * applied since. The places from which the content was removed are returned as collapsed ranges.
+	 *
+	 * @protected
+	 * @param {Array.<module:engine/model/operation/operation~Operation>} operations
+	 * @returns {Array.<module:engine/model/range~Range>}
+	 */
+	_getChangedRanges( operations ) {
+		const document = this.editor.model.document;
+		const ranges = [];
+
+		for ( const operation of operations ) {
+			const range = getChangedRange( operation );
+
+			if ( !range || range.root == document.graveyard ) {
+				continue;
+			}
+
+			const laterOperations = Array.from( document.history.getOperations( operation.baseVersion + 1 ) );
+
+			for ( const transformed of range.getTransformedByOperations( laterOperations ) ) {
+				if ( transformed.root != document.graveyard ) {
+					ranges.push( transformed );
+				}
+			}
+		}
+
+		return ranges;
+	}
+
+	/**
+	 * Adds an item to the stack, evicting the oldest items if the stack exceeds {@link #stackSize}.
+	 *
+	 * @protected
+	 * @fires add
+	 * @param {Object} item The stack item.
+	 */
+	_addItem( item ) {
+		this._stack.push( item );
+		this._evictItems();
+		this.refresh();
+
+		this.fire( 'add', [ item ] );
+	}
+
+	/**
+	 * Removes given items from the stack.
+	 *
+	 * @protected
+	 * @fires remove
+	 * @param {Array.<Object>} items The stack items to remove.
+	 * @param {String} reason The reason of the removal: `'execute'` or `'evict'`.
+	 */
+	_removeItems( items, reason ) {
+		if ( !items.length ) {
+			return;
+		}
+
+		this._stack = this._stack.filter( item => !items.includes( item ) );
+		this.refresh();
+
+		this.fire( 'remove', items, reason );
+	}
+
+	/**
+	 * Removes the oldest items from the stack if it holds more items than allowed by {@link #stackSize}
+	 * or if their estimated size exceeds the {@link #memoryBudget}.
+	 *
+	 * @protected
+	 * @fires remove
+	 * @fires evict
+	 */
+	_evictItems() {
+		const evictedItems = this._stack.slice( 0, Math.max( this._stack.length - this.stackSize, 0 ) );
+		const compactedItems = this._getItemsOverBudget( this._stack.slice( evictedItems.length ) );
+
+		if ( compactedItems.length ) {
+			this._compactionStats.compactions++;
+			this._compactionStats.evictedItems += compactedItems.length;
+			this._compactionStats.freedSize += compactedItems.reduce( ( size, item ) => size + this._getItemSize( item ), 0 );
+		}
+
+		evictedItems.push( ...compactedItems );
+
+		if ( evictedItems.length ) {
+			this._removeItems( evictedItems, 'evict' );
+			this.fire( 'evict', evictedItems );
+		}
+	}
+
+	/**
+	 * Returns the oldest of given items which have to be removed, so the estimated size of the rest fits the {@link #memoryBudget}.
+	 * The newest item is never returned, so the last change can be reverted even if it exceeds the budget alone.
+	 *
+	 * @private
+	 * @param {Array.<Object>} items The stack items, in the stack order.
+	 * @returns {Array.<Object>}
+	 */
+	_getItemsOverBudget( items ) {
+		if ( this.memoryBudget == Number.POSITIVE_INFINITY ) {
+			return [];
+		}
+
+		const itemsOverBudget = [];
+		let size = items.reduce( ( size, item ) => size + this._getItemSize( item ), 0 );
+
+		while ( size > this.memoryBudget && itemsOverBudget.length < items.length - 1 ) {
+			const item = items[ itemsOverBudget.length ];
+
+			itemsOverBudget.push( item );
+			size -= this._getItemSize( item );
+		}
+
+		return itemsOverBudget;
+	}
+
+	/**
+	 * Returns the estimated memory size (in bytes) of the operations of all batches stored in the item.
+	 *
+	 * @protected
+	 * @param {Object} item The stack item.
+	 * @returns {Number}
+	 */
+	_getItemSize( item ) {
+		let size = 0;
+
+		for ( const batch of [ item.batch, ...item.mergedBatches ] ) {
+			const cached = this._batchSizes.get( batch ) || { operationCount: 0, size: 0 };
+
+			// Only the operations added to the batch since it was estimated last time are estimated.
+			for ( const operation of batch.operations.slice( cached.operationCount ) ) {
+				cached.size += getOperationMemorySize( operation );
+			}
+
+			cached.operationCount = batch.operations.length;
+			this._batchSizes.set( batch, cached );
+
+			size += cached.size;
+		}
+
+		return size;
 	}
 
 	/**
 	 * Restores the {@link module:engine/model/document~Document#selection document selection} state after a batch was undone.
 	 *
+	 * If the selected element (for example, a widget) is back in the document, it is selected again. Otherwise, the stored
+	 * ranges are transformed by the operations applied since. If the restored selection is collapsed, its attributes
+	 * are restored as well, so, for example, the bold typing set before the change is not lost.
+	 *
 	 * @protected
-	 * @param {Array.<module:engine/model/range~Range>} ranges Ranges to be restored.
-	 * @param {Boolean} isBackward A flag describing whether the restored range was selected forward or backward.
+	 * @param {Object} selection The selection state stored with the batch.
+	 * @param {Array.<module:engine/model/range~Range>} selection.ranges Ranges to be restored.
+	 * @param {Boolean} selection.isBackward A flag describing whether the restored range was selected forward or backward.
+	 * @param {Array.<Array>} [selection.attributes] The selection attributes as key-value pairs.
+	 * @param {module:engine/model/element~Element|null} [selection.selectedElement] The element selected as a whole.
 	 * @param {Array.<module:engine/model/operation/operation~Operation>} operations Operations which has been applied
 	 * since selection has been stored.
 	 */
-	_restoreSelection( ranges, isBackward, operations ) {
+	_restoreSelection( selection, operations ) {
 		const model = this.editor.model;
 		const document = model.document;
+		const { ranges, isBackward, attributes = [], selectedElement = null } = selection;
+
+		if ( selectedElement && isInDocument( selectedElement, document ) ) {
+			model.change( writer => {
+				writer.setSelection( selectedElement, 'on' );
+			} );
+
+			return;
+		}
 
 		// This will keep the transformed selection ranges.
 		const selectionRanges = [];
@@ -114,46 +686,84 @@ export default class BaseCommand extends Command {
 		if ( selectionRanges.length ) {
 			model.change( writer => {
 				writer.setSelection( selectionRanges, { backward: isBackward } );
+
+				if ( document.selection.isCollapsed ) {
+					restoreSelectionAttributes( writer, document.selection, attributes );
+				}
 			} );
 		}
 	}
 
+	/**
+	 * Checks whether given items should be reverted. In the {@link #refusePartial} mode, reverting the items is simulated
+	 * and if they could not be fully reverted, the {@link #event:outcome} event is fired and `false` is returned.
+	 *
+	 * @protected
+	 * @fires outcome
+	 * @param {Array.<Object>} items The stack items to revert.
+	 * @returns {Boolean}
+	 */
+	_checkOutcome( items ) {
+		if ( !this.refusePartial ) {
+			return true;
+		}
+
+		const { status } = this._simulateUndo( items.slice().reverse().map( item => this._getStepBatch( item ) ) );
+
+		if ( status == 'full' ) {
+			return true;
+		}
+
+		this._fireOutcome( [ status ], items, false );
+
+		return false;
+	}
+
+	/**
+	 * Fires the {@link #event:outcome} event.
+	 *
+	 * @protected
+	 * @fires outcome
+	 * @param {Array.<String>} statuses The statuses of reverting the items, as returned by {@link #_undo}.
+	 * @param {Array.<Object>} items The reverted stack items.
+	 * @param {Boolean} isApplied Whether the items were reverted.
+	 */
+	_fireOutcome( statuses, items, isApplied ) {
+		this.fire( 'outcome', {
+			status: combineStatuses( statuses ),
+			batches: items.map( item => item.batch ),
+			isApplied
+		} );
+	}
+
 	/**
 	 * Undoes a batch by reversing that batch, transforming reversed batch and finally applying it.
 	 * This is a helper method for {@link #execute}.
 	 *
+	 * Returns the status of the undo, which tells whether later changes in the document conflicted with it:
+	 *
+	 * * `'full'` &ndash; All changes from the batch were reverted.
+	 * * `'partial'` &ndash; Some of the reversed operations were nullified or reduced by later changes,
+	 * for example, because a part of the changed content was removed since.
+	 * * `'impossible'` &ndash; None of the changes could be reverted.
+	 *
 	 * @protected
 	 * @param {module:engine/model/batch~Batch} batchToUndo The batch to be undone.
 	 * @param {module:engine/model/batch~Batch} undoingBatch The batch that will contain undoing changes.
+	 * @returns {'full'|'partial'|'impossible'}
 	 */
 	_undo( batchToUndo, undoingBatch ) {
 		const model = this.editor.model;
-		const document = model.document;
+		const history = this._getHistory();
+		const statuses = [];
 
 		// All changes done by the command execution will be saved as one batch.
 		this._createdBatches.add( undoingBatch );
 
-		const operationsToUndo = batchToUndo.operations.slice().filter( operation => operation.isDocumentOperation );
-		operationsToUndo.reverse();
-
 		// We will process each operation from `batchToUndo`, in reverse order. If there were operations A, B and C in undone batch,
 		// we need to revert them in reverse order, so first C' (reversed C), then B', then A'.
-		for ( const operationToUndo of operationsToUndo ) {
-			const nextBaseVersion = operationToUndo.baseVersion + 1;
-			const historyOperations = Array.from( document.history.getOperations( nextBaseVersion ) );
-
-			const transformedSets = transformSets(
-				[ operationToUndo.getReversed() ],
-				historyOperations,
-				{
-					useRelations: true,
-					document: this.editor.model.document,
-					padWithNoOps: false,
-					forceWeakRemove: true
-				}
-			);
-
-			const reversedOperations = transformedSets.operationsA;
+		for ( const operationToUndo of this._getOperationsToUndo( batchToUndo ) ) {
+			const reversedOperations = this._transformReversedOperation( operationToUndo, { history } );
 
 			// After reversed operation has been transformed by all history operations, apply it.
 			for ( const operation of reversedOperations ) {
@@ -161,9 +771,406 @@ export default class BaseCommand extends Command {
 				undoingBatch.addOperation( operation );
 				model.applyOperation( operation );
 
-				document.history.setOperationAsUndone( operationToUndo, operation );
+				history.setOperationAsUndone( operationToUndo, operation );
+			}
+
+			statuses.push( getReversalStatus( operationToUndo, reversedOperations ) );
+		}
+
+		return combineStatuses( statuses );
+	}
+
+	/**
+	 * Checks how undoing given batches, one after another, would go, without changing the document. See {@link #_undo}
+	 * for the possible statuses.
+	 *
+	 * The reversed operations are transformed the same way as when the batches are undone, but instead of applying them,
+	 * they are kept aside and used to transform the reversed operations of the following batches.
+	 *
+	 * Returns the status and the reversed operations which would be applied, in the order in which they would be applied.
+	 *
+	 * @protected
+	 * @param {Array.<module:engine/model/batch~Batch>} batchesToUndo The batches to undo, in the order in which they would be undone.
+	 * @returns {Object} result
+	 * @returns {'full'|'partial'|'impossible'} result.status
+	 * @returns {Array.<module:engine/model/operation/operation~Operation>} result.operations
+	 */
+	_simulateUndo( batchesToUndo ) {
+		const document = this.editor.model.document;
+		const undoHistory = this._getHistory();
+		const statuses = [];
+
+		// The reversed operations which would be applied, with the operations which they would undo.
+		const undonePairs = new Map();
+
+		// The history as it would be after applying the reversed operations. It is used to resolve transformation conflicts.
+		const history = {
+			isUndoneOperation: operation => {
+				return Array.from( undonePairs.values() ).includes( operation ) || undoHistory.isUndoneOperation( operation );
+			},
+			getUndoneOperation: operation => undonePairs.get( operation ) || undoHistory.getUndoneOperation( operation )
+		};
+
+		for ( const batchToUndo of batchesToUndo ) {
+			for ( const operationToUndo of this._getOperationsToUndo( batchToUndo ) ) {
+				const pendingOperations = Array.from( undonePairs.keys() );
+				const reversedOperations = this._transformReversedOperation( operationToUndo, { history }, pendingOperations );
+
+				for ( const operation of reversedOperations ) {
+					operation.baseVersion = document.version + undonePairs.size;
+					undonePairs.set( operation, operationToUndo );
+				}
+
+				statuses.push( getReversalStatus( operationToUndo, reversedOperations ) );
+			}
+		}
+
+		return {
+			status: combineStatuses( statuses ),
+			operations: Array.from( undonePairs.keys() )
+		};
+	}
+
+	/**
+	 * Reverses the operation and transforms it by all operations applied to the document after it.
+	 *
+	 * @protected
+	 * @param {module:engine/model/operation/operation~Operation} operationToUndo
+	 * @param {Object} document An object with the `history` which is used to resolve transformation conflicts.
+	 * @param {Array.<module:engine/model/operation/operation~Operation>} [pendingOperations] Operations which are not applied yet,
+	 * but should be treated as applied after all history operations.
+	 * @returns {Array.<module:engine/model/operation/operation~Operation>}
+	 */
+	_transformReversedOperation( operationToUndo, document, pendingOperations = [] ) {
+		const historyOperations = Array.from( this._getOperationsAfter( operationToUndo ) );
+
+		const transformedSets = transformSets(
+			[ this._reverseOperation( operationToUndo ) ],
+			historyOperations.concat( pendingOperations ),
+			{
+				useRelations: true,
+				document,
+				padWithNoOps: false,
+				forceWeakRemove: true
+			}
+		);
+
+		return transformedSets.operationsA;
+	}
+
+	/**
+	 * Returns the history in which the operations reverted by the command are recorded and marked as undone.
+	 *
+	 * @protected
+	 * @returns {module:engine/model/history~History}
+	 */
+	_getHistory() {
+		return this.editor.model.document.history;
+	}
+
+	/**
+	 * Returns the operations of the batch which should be reversed to undo it, in the order in which they should be reversed.
+	 *
+	 * @protected
+	 * @param {module:engine/model/batch~Batch} batch
+	 * @returns {Array.<module:engine/model/operation/operation~Operation>}
+	 */
+	_getOperationsToUndo( batch ) {
+		return getOperationsToUndo( batch );
+	}
+
+	/**
+	 * Returns the operations recorded in the {@link #_getHistory history} after given operation.
+	 *
+	 * @protected
+	 * @param {module:engine/model/operation/operation~Operation} operation
+	 * @returns {Iterable.<module:engine/model/operation/operation~Operation>}
+	 */
+	_getOperationsAfter( operation ) {
+		return this._getHistory().getOperations( operation.baseVersion + 1 );
+	}
+
+	/**
+	 * Returns the operation which reverses given operation.
+	 *
+	 * @protected
+	 * @param {module:engine/model/operation/operation~Operation} operation
+	 * @returns {module:engine/model/operation/operation~Operation}
+	 */
+	_reverseOperation( operation ) {
+		return operation.getReversed();
+	}
+}
+
+/**
+ * Fired when an item was added to the stack.
+ *
+ * @event add
+ * @param {Array.<Object>} items The added stack items. Each of them stores the `batch` and the `selection` state.
+ */
+
+/**
+ * Fired when items were removed from the stack, either because they were reverted by the command or because the stack
+ * exceeded {@link #stackSize} or {@link #memoryBudget}. It is not fired when the whole stack is cleared; see {@link #event:clear} instead.
+ *
+ * @event remove
+ * @param {Array.<Object>} items The removed stack items.
+ * @param {String} reason `'execute'` if the items were reverted by the command, `'evict'` if they were evicted.
+ */
+
+/**
+ * Fired when the stack was cleared by {@link #clearStack}. It is not fired if the stack was already empty.
+ *
+ * @event clear
+ * @param {Array.<Object>} items All stack items which were removed.
+ */
+
+/**
+ * Fired when the command was executed, with the outcome of reverting the steps. It tells whether later changes
+ * in the document conflicted with the reverted steps.
+ *
+ *		editor.commands.get( 'undo' ).on( 'outcome', ( evt, data ) => {
+ *			if ( data.status != 'full' ) {
+ *				showWarning( 'The change could not be fully undone because the content was changed since.' );
+ *			}
+ *		} );
+ *
+ * @event outcome
+ * @param {Object} data
+ * @param {'full'|'partial'|'impossible'} data.status The status of reverting the steps. See {@link #_undo}.
+ * @param {Array.<module:engine/model/batch~Batch>} data.batches The batches of the reverted steps.
+ * @param {Boolean} data.isApplied `false` if the steps were not reverted, because the command {@link #refusePartial refuses}
+ * partial reverts.
+ */
+
+/**
+ * Fired when the oldest items were removed from the stack because it exceeded {@link #stackSize} or {@link #memoryBudget}.
+ * The {@link #event:remove} event is fired as well.
+ *
+ * @event evict
+ * @param {Array.<Object>} items The removed stack items. Each of them stores the `batch` and the `selection` state.
+ */
+
+// Returns the range of the content changed by given operation, right after the operation was applied,
+// or `null` if the operation did not insert or change any content. For removed content, a collapsed range
+// at the place from which it was removed is returned.
+//
+// @param {module:engine/model/operation/operation~Operation} operation
+// @returns {module:engine/model/range~Range|null}
+function getChangedRange( operation ) {
+	switch ( operation.type ) {
+		case 'insert':
+			return new Range( operation.position, operation.position.getShiftedBy( operation.howMany ) );
+		case 'move':
+		case 'reinsert': {
+			const start = operation.getMovedRangeStart();
+
+			return new Range( start, start.getShiftedBy( operation.howMany ) );
+		}
+		case 'remove':
+			return new Range( operation.sourcePosition );
+		case 'addAttribute':
+		case 'removeAttribute':
+		case 'changeAttribute':
+			return operation.range;
+		case 'rename':
+			return new Range( operation.position, operation.position.getShiftedBy( 1 ) );
+	}
+
+	return null;
+}
+
+// Returns the range of the content which given operation changes, right before the operation is applied,
+// or `null` if the operation does not change any existing content.
+//
+// @param {module:engine/model/operation/operation~Operation} operation
+// @returns {module:engine/model/range~Range|null}
+function getTargetRange( operation ) {
+	switch ( operation.type ) {
+		case 'move':
+		case 'remove':
+			return new Range( operation.sourcePosition, operation.sourcePosition.getShiftedBy( operation.howMany ) );
+		case 'addAttribute':
+		case 'removeAttribute':
+		case 'changeAttribute':
+			return operation.range;
+		case 'rename':
+			return new Range( operation.position, operation.position.getShiftedBy( 1 ) );
+	}
+
+	return null;
+}
+
+// Adds the changes done by given operation to the preview summary. Changes of the removed content are omitted.
+//
+// @param {Object} summary
+// @param {module:engine/model/operation/operation~Operation} operation
+// @param {module:engine/model/rootelement~RootElement} graveyard
+function addToSummary( summary, operation, graveyard ) {
+	if ( getOperationRoots( operation ).every( root => root == graveyard ) ) {
+		return;
+	}
+
+	switch ( operation.type ) {
+		case 'insert':
+		case 'reinsert':
+			summary.inserted += operation.howMany;
+			break;
+		case 'remove':
+			summary.removed += operation.howMany;
+			break;
+		case 'move':
+			summary.moved += operation.howMany;
+			break;
+		case 'addAttribute':
+		case 'removeAttribute':
+		case 'changeAttribute':
+			if ( !summary.attributes.includes( operation.key ) ) {
+				summary.attributes.push( operation.key );
 			}
+	}
+}
+
+// Returns the document operations of the batch in the order in which they should be undone.
+//
+// @param {module:engine/model/batch~Batch} batch
+// @returns {Array.<module:engine/model/operation/operation~Operation>}
+function getOperationsToUndo( batch ) {
+	return batch.operations.filter( operation => operation.isDocumentOperation ).reverse();
+}
+
+// Compares the undone operation with its reversed and transformed operations to check whether
+// the later changes in the document nullified or reduced the reversal.
+//
+// @param {module:engine/model/operation/operation~Operation} operationToUndo
+// @param {Array.<module:engine/model/operation/operation~Operation>} reversedOperations
+// @returns {'full'|'partial'|'impossible'}
+function getReversalStatus( operationToUndo, reversedOperations ) {
+	// Operations which do nothing or change only the removed content have no visible effect.
+	const effectiveOperations = reversedOperations.filter( operation => {
+		return operation.type != 'noop' && getOperationRoots( operation ).some( root => root.rootName != '$graveyard' );
+	} );
+
+	if ( !effectiveOperations.length ) {
+		return 'impossible';
+	}
+
+	const size = getOperationSize( operationToUndo );
+	const effectiveSizes = effectiveOperations.map( getOperationSize );
+
+	if ( size === null || effectiveSizes.includes( null ) ) {
+		return 'full';
+	}
+
+	return effectiveSizes.reduce( ( sum, effectiveSize ) => sum + effectiveSize, 0 ) < size ? 'partial' : 'full';
+}
+
+// Returns the number of nodes (or offsets) changed by the operation, or `null` if it cannot be compared,
+// because the changed range spans over several elements.
+//
+// @param {module:engine/model/operation/operation~Operation} operation
+// @returns {Number|null}
+function getOperationSize( operation ) {
+	if ( operation.howMany !== undefined ) {
+		return operation.howMany;
+	}
+
+	if ( operation.range ) {
+		const { start, end } = operation.range;
+		const isFlat = start.path.length == end.path.length && start.path.slice( 0, -1 ).every( ( offset, i ) => offset == end.path[ i ] );
+
+		return isFlat ? end.offset - start.offset : null;
+	}
+
+	return 1;
+}
+
+// Returns the estimated memory size (in bytes) of an operation, including the content it inserts and the attribute values it sets.
+//
+// @param {module:engine/model/operation/operation~Operation} operation
+// @returns {Number}
+function getOperationMemorySize( operation ) {
+	let size = OPERATION_SIZE;
+
+	if ( operation.type == 'insert' ) {
+		for ( const node of operation.nodes ) {
+			size += getNodeMemorySize( node );
 		}
+	} else if ( operation.key !== undefined ) {
+		size += getValueMemorySize( operation.oldValue ) + getValueMemorySize( operation.newValue );
+	}
+
+	return size;
+}
+
+// Returns the estimated memory size (in bytes) of a model node, together with its attributes and children.
+//
+// @param {module:engine/model/node~Node} node
+// @returns {Number}
+function getNodeMemorySize( node ) {
+	let size = node.is( 'text' ) ? node.data.length * 2 : ELEMENT_SIZE;
+
+	for ( const [ key, value ] of node.getAttributes() ) {
+		size += key.length * 2 + getValueMemorySize( value );
+	}
+
+	if ( node.is( 'element' ) ) {
+		for ( const child of node.getChildren() ) {
+			size += getNodeMemorySize( child );
+		}
+	}
+
+	return size;
+}
+
+// Returns the estimated memory size (in bytes) of an attribute value. Only strings are measured, other values count as 8 bytes.
+//
+// @param {*} value
+// @returns {Number}
+function getValueMemorySize( value ) {
+	return typeof value == 'string' ? value.length * 2 : 8;
+}
+
+// Combines the statuses of reverting several operations.
+//
+// @param {Array.<String>} statuses
+// @returns {'full'|'partial'|'impossible'}
+function combineStatuses( statuses ) {
+	if ( statuses.every( status => status == 'full' ) ) {
+		return 'full';
+	}
+
+	return statuses.every( status => status == 'impossible' ) ? 'impossible' : 'partial';
+}
+
+// Checks whether the element is in one of the document roots, other than the graveyard.
+//
+// @param {module:engine/model/element~Element} element
+// @param {module:engine/model/document~Document} document
+// @returns {Boolean}
+function isInDocument( element, document ) {
+	const root = element.root;
+
+	return root.is( 'rootElement' ) && root.document == document && root != document.graveyard;
+}
+
+// Sets the selection attributes to the stored ones. The attributes which were not stored are removed, so they are not
+// taken from the surrounding content.
+//
+// @param {module:engine/model/writer~Writer} writer
+// @param {module:engine/model/documentselection~DocumentSelection} selection
+// @param {Array.<Array>} attributes The stored attributes as key-value pairs.
+function restoreSelectionAttributes( writer, selection, attributes ) {
+	const storedKeys = attributes.map( ( [ key ] ) => key );
+
+	for ( const key of Array.from( selection.getAttributeKeys() ) ) {
+		if ( !storedKeys.includes( key ) ) {
+			writer.removeSelectionAttribute( key );
+		}
+	}
+
+	for ( const [ key, value ] of attributes ) {
+		writer.setSelectionAttribute( key, value );
 	}
 }
 
@@ -192,3 +1199,4 @@ function transformSelectionRange( range, operations ) {
 
 	return transformed;
 }
+
@@ -0,0 +1,96 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module undo/labelers
+ */
+
+/**
+ * Creates the default undo step labelers, registered by the {@link module:undo/undoediting~UndoEditing undo editing feature}.
+ *
+ * A labeler is a function which receives a {@link module:engine/model/batch~Batch batch} and returns a human-readable
+ * label describing what the batch did, or `undefined` if it does not recognize the batch. The default labelers inspect
+ * the batch operations and recognize typing, deleting, inserting elements, pasting and formatting.
+ *
+ * The attribute keys and the element names come from the model, so they are not used in the labels. The formatting
+ * and the inserted elements get specific labels only if they are given in `options`. Otherwise, the generic
+ * `'Formatting'` and `'Insert'` labels are used.
+ *
+ * @param {module:utils/locale~Locale#t} t The translation function of the editor.
+ * @param {Object} [options]
+ * @param {Map.<String,String>} [options.attributeLabels] The labels of the steps which change only given attribute,
+ * by the attribute keys.
+ * @param {Map.<String,String>} [options.elementLabels] The labels of the steps which insert given element, by the element names.
+ * @param {Function} [options.isContentInsertion] A callback which is called with a batch and returns `true` if the batch
+ * inserted a document fragment, for example, the pasted content.
+ * @returns {Array.<Function>}
+ */
+export function createDefaultLabelers( t, options = {} ) {
+	const attributeLabels = options.attributeLabels || new Map();
+	const elementLabels = options.elementLabels || new Map();
+	const isContentInsertion = options.isContentInsertion || ( () => false );
+
+	return [
+		batch => {
+			const operations = getOperations( batch );
+
+			if ( operations.length && operations.every( isAttributeOperation ) ) {
+				const keys = new Set( operations.map( operation => operation.key ) );
+
+				return keys.size == 1 && attributeLabels.get( operations[ 0 ].key ) || t( 'Formatting' );
+			}
+		},
+
+		batch => {
+			const operations = getOperations( batch );
+
+			if ( operations.length && operations.every( operation => operation.type == 'remove' || operation.type == 'merge' ) ) {
+				return t( 'Delete' );
+			}
+		},
+
+		batch => {
+			const insertedNodes = getOperations( batch )
+				.filter( operation => operation.type == 'insert' )
+				.reduce( ( nodes, operation ) => nodes.concat( Array.from( operation.nodes ) ), [] );
+			const isSingleElement = insertedNodes.length == 1 && insertedNodes[ 0 ].is( 'element' );
+			const elementLabel = isSingleElement && elementLabels.get( insertedNodes[ 0 ].name );
+
+			// The pasted content is recognized by the way it is inserted, as a pasted plain text looks like typing.
+			if ( isContentInsertion( batch ) ) {
+				return elementLabel || t( 'Paste' );
+			}
+
+			if ( insertedNodes.some( node => node.is( 'element' ) ) ) {
+				return elementLabel || t( 'Insert' );
+			}
+		},
+
+		batch => {
+			const operations = getOperations( batch );
+			const isTyping = operations.every( operation => [ 'insert', 'split', 'remove', 'merge' ].includes( operation.type ) );
+
+			if ( operations.length && isTyping ) {
+				return t( 'Typing' );
+			}
+		}
+	];
+}
+
+// Returns the document operations from the batch which change the document content or attributes.
+//
+// @param {module:engine/model/batch~Batch} batch
+// @returns {Array.<module:engine/model/operation/operation~Operation>}
+function getOperations( batch ) {
+	return batch.operations.filter( operation => operation.isDocumentOperation && ![ 'marker', 'noop' ].includes( operation.type ) );
+}
+
+// Checks whether the operation changes an attribute of model nodes.
+//
+// @param {module:engine/model/operation/operation~Operation} operation
+// @returns {Boolean}
+function isAttributeOperation( operation ) {
+	return [ 'addAttribute', 'removeAttribute', 'changeAttribute' ].includes( operation.type );
+}
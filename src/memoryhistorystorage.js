@@ -0,0 +1,56 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module undo/memoryhistorystorage
+ */
+
+/**
+ * An in-memory implementation of the {@link module:undo/undopersistence~UndoHistoryStorage undo history storage}.
+ *
+ * It works like `localStorage`: the values are kept as JSON strings, so the stored history is not shared by reference
+ * with the editor that saved it. The values are lost when the page is reloaded, so this storage is mostly useful
+ * when the editor is re-created on the same page, and as a reference for custom storage implementations.
+ *
+ * @implements module:undo/undopersistence~UndoHistoryStorage
+ */
+export default class MemoryHistoryStorage {
+	constructor() {
+		/**
+		 * The stored values, serialized to JSON.
+		 *
+		 * @private
+		 * @member {Map.<String,String>} #_values
+		 */
+		this._values = new Map();
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	get( key ) {
+		const value = this._values.get( key );
+
+		return Promise.resolve( value === undefined ? null : JSON.parse( value ) );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	set( key, value ) {
+		this._values.set( key, JSON.stringify( value ) );
+
+		return Promise.resolve();
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	remove( key ) {
+		this._values.delete( key );
+
+		return Promise.resolve();
+	}
+}
@@ -26,23 +26,76 @@ export default class RedoCommand extends BaseCommand {
 	 * {@link module:engine/model/document~Document document} and removes the batch from the stack.
 	 * Then, it restores the {@link module:engine/model/document~Document#selection document selection}.
 	 *
+	 * If an array of batches is passed, all of them are redone, starting from the most recent one, by a single redoing batch.
+	 *
 	 * @fires execute
+	 * @fires remove
+	 * @fires revert
+	 * @fires outcome
+	 * @param {module:engine/model/batch~Batch|Array.<module:engine/model/batch~Batch>} [batch] A batch (or batches) that should
+	 * be redone. If not set, the last added batch will be redone. In the
+	 * {@link module:undo/basecommand~BaseCommand#perRoot per-root mode}, it is the last batch which changed the root
+	 * in which the selection is.
 	 */
-	execute() {
-		const item = this._stack.pop();
+	execute( batch = null ) {
+		const items = batch ? this._getItems( batch ) : this._getCurrentStack().slice( -1 );
+
+		this._revert( items );
+	}
+
+	/**
+	 * Redoes given stack items by a single redoing batch, like {@link #execute}, but regardless of {@link #isEnabled}.
+	 * See {@link module:undo/undocommand~UndoCommand#_revert}.
+	 *
+	 * @protected
+	 * @fires remove
+	 * @fires revert
+	 * @fires outcome
+	 * @param {Array.<Object>} items The stack items to redo.
+	 * @returns {Boolean} Whether the items were redone.
+	 */
+	_revert( items ) {
+		// The `isEnabled` state depends on the selection, so only the features which disabled the command are respected.
+		if ( this._disableStack.size || !items.length || !this._checkOutcome( items ) ) {
+			return false;
+		}
+
+		this._removeItems( items, 'execute' );
+
 		const redoingBatch = this.editor.model.createBatch( 'transparent' );
 
 		// All changes have to be done in one `enqueueChange` callback so other listeners will not step between consecutive
 		// operations, or won't do changes to the document before selection is properly restored.
 		this.editor.model.enqueueChange( redoingBatch, () => {
-			const lastOperation = item.batch.operations[ item.batch.operations.length - 1 ];
-			const nextBaseVersion = lastOperation.baseVersion + 1;
-			const operations = this.editor.model.document.history.getOperations( nextBaseVersion );
+			const statuses = [];
 
-			this._restoreSelection( item.selection.ranges, item.selection.isBackward, operations );
-			this._undo( item.batch, redoingBatch );
+			for ( const item of items.slice().reverse() ) {
+				const stepBatch = this._getStepBatch( item );
+				const lastOperation = stepBatch.operations[ stepBatch.operations.length - 1 ];
+				const nextBaseVersion = lastOperation.baseVersion + 1;
+				const operations = this.editor.model.document.history.getOperations( nextBaseVersion );
+
+				this._restoreSelection( item.selection, operations );
+				statuses.push( this._undo( stepBatch, redoingBatch ) );
+			}
+
+			for ( const item of items ) {
+				this.fire( 'revert', item.batch, redoingBatch );
+			}
+
+			this._fireOutcome( statuses, items, true );
 		} );
 
 		this.refresh();
+
+		return true;
 	}
 }
+
+/**
+ * Fired when execution of the command reverts (redoes) some batch.
+ *
+ * If several batches are redone at once, the event is fired for each of them, with the same redoing batch.
+ *
+ * @event revert
+ */
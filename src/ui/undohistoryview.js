@@ -0,0 +1,153 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module undo/ui/undohistoryview
+ */
+
+import View from '@ckeditor/ckeditor5-ui/src/view';
+import ListView from '@ckeditor/ckeditor5-ui/src/list/listview';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+
+import '../../theme/undohistory.css';
+
+/**
+ * The undo history view. It lists the steps stored in the undo stack and allows reverting any of them,
+ * without reverting the steps done after it.
+ *
+ * The view does not revert the steps by itself. It fires the {@link #event:revert} event instead, and the
+ * {@link #event:preview} event when the user points at a step.
+ *
+ * @extends module:ui/view~View
+ */
+export default class UndoHistoryView extends View {
+	/**
+	 * @inheritDoc
+	 */
+	constructor( locale ) {
+		super( locale );
+
+		/**
+		 * The list of the steps.
+		 *
+		 * @readonly
+		 * @member {module:ui/list/listview~ListView} #listView
+		 */
+		this.listView = new ListView( locale );
+
+		this.setTemplate( {
+			tag: 'div',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-undo-history'
+				]
+			},
+
+			children: [
+				this.listView
+			]
+		} );
+	}
+
+	/**
+	 * Replaces the listed steps.
+	 *
+	 * @param {Array.<Object>} steps The steps to list, in the display order. Each of them is an object with the `batch`
+	 * stored in the undo stack and its human-readable `label`.
+	 */
+	setSteps( steps ) {
+		this.listView.items.clear();
+
+		for ( const step of steps ) {
+			const itemView = new UndoHistoryItemView( this.locale, step.batch, step.label );
+
+			itemView.delegate( 'preview', 'revert' ).to( this );
+
+			this.listView.items.add( itemView );
+		}
+	}
+
+	/**
+	 * Focuses the first step in the list.
+	 */
+	focus() {
+		this.listView.focus();
+	}
+}
+
+/**
+ * Fired when the user points at a step (with the mouse or by focusing its button) or stops doing so.
+ *
+ * @event preview
+ * @param {module:engine/model/batch~Batch|null} batch The batch of the pointed step or `null` if no step is pointed.
+ */
+
+/**
+ * Fired when the user chose to revert a step.
+ *
+ * @event revert
+ * @param {module:engine/model/batch~Batch} batch The batch of the step to revert.
+ */
+
+// A single step in the undo history view: the label of the step and the button which reverts it.
+//
+// @private
+// @extends module:ui/view~View
+class UndoHistoryItemView extends View {
+	constructor( locale, batch, label ) {
+		super( locale );
+
+		const t = locale.t;
+		const bind = this.bindTemplate;
+
+		// The batch of the step.
+		this.batch = batch;
+
+		// The button reverting the step.
+		this.buttonView = new ButtonView( locale );
+		this.buttonView.set( {
+			label: t( 'Revert this change' ),
+			withText: true
+		} );
+
+		this.buttonView.on( 'execute', () => this.fire( 'revert', batch ) );
+
+		this.setTemplate( {
+			tag: 'li',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-list__item',
+					'ck-undo-history__item'
+				]
+			},
+
+			children: [
+				{
+					tag: 'span',
+					attributes: {
+						class: [ 'ck', 'ck-undo-history__label' ]
+					},
+					children: [ label ]
+				},
+				this.buttonView
+			],
+
+			on: {
+				mouseenter: bind.to( () => this.fire( 'preview', batch ) ),
+				mouseleave: bind.to( () => this.fire( 'preview', null ) ),
+				focusin: bind.to( () => this.fire( 'preview', batch ) ),
+				focusout: bind.to( () => this.fire( 'preview', null ) )
+			}
+		} );
+	}
+
+	focus() {
+		this.buttonView.focus();
+	}
+}
@@ -10,12 +10,17 @@
 import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
 import UndoEditing from './undoediting';
 import UndoUI from './undoui';
+import UndoBranches from './undobranches';
+import UndoFeedback from './undofeedback';
+import UndoExport from './undoexport';
 
 /**
  * The undo feature.
  *
- * This is a "glue" plugin which loads the {@link module:undo/undoediting~UndoEditing undo editing feature}
- * and {@link module:undo/undoui~UndoUI undo UI feature}.
+ * This is a "glue" plugin which loads the {@link module:undo/undoediting~UndoEditing undo editing feature},
+ * {@link module:undo/undoui~UndoUI undo UI feature}, {@link module:undo/undobranches~UndoBranches undo branches feature},
+ * {@link module:undo/undofeedback~UndoFeedback undo feedback feature} and
+ * {@link module:undo/undoexport~UndoExport undo history export feature}.
  *
  * Below is the explanation of the undo mechanism working together with {@link module:engine/model/history~History History}:
  *
@@ -107,7 +112,7 @@ export default class Undo extends Plugin {
 	 * @inheritDoc
 	 */
 	static get requires() {
-		return [ UndoEditing, UndoUI ];
+		return [ UndoEditing, UndoUI, UndoBranches, UndoFeedback, UndoExport ];
 	}
 
 	/**
@@ -117,3 +122,296 @@ export default class Undo extends Plugin {
 		return 'Undo';
 	}
 }
+
+/**
+ * The configuration of the {@link module:undo/undo~Undo undo feature}.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				undo: ... // Undo feature options.
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * See {@link module:core/editor/editorconfig~EditorConfig all editor options}.
+ *
+ * @interface UndoConfig
+ */
+
+/**
+ * The maximum number of steps kept by each of the undo and redo stacks. When the limit is reached, the oldest steps
+ * are dropped and the {@link module:undo/basecommand~BaseCommand#event:evict `evict`} event is fired by the command.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				undo: {
+ *					stackSize: 100
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * By default, the stacks are not limited.
+ *
+ * @member {Number} module:undo/undo~UndoConfig#stackSize
+ */
+
+/**
+ * The estimated memory size (in bytes) which each of the undo and redo stacks may use. When the budget is exceeded,
+ * the oldest steps are dropped and the {@link module:undo/basecommand~BaseCommand#event:evict `evict`} event is fired
+ * by the command. The most recent step is always kept.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				undo: {
+ *					memoryBudget: 50 * 1024 * 1024
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The size of a step is estimated from the number of its operations and the size of the content they insert, so large
+ * pastes and images (for example, inserted as data URLs) make the steps bigger. The estimated usage and the statistics
+ * of dropping the steps are returned by {@link module:undo/basecommand~BaseCommand#getMemoryStats}.
+ *
+ * The old steps are dropped rather than merged, because merging the steps would not make them smaller.
+ *
+ * By default, the memory is not limited.
+ *
+ * @member {Number} module:undo/undo~UndoConfig#memoryBudget
+ */
+
+/**
+ * Enables coalescing of consecutive changes into a single undo step. When a new change comes within `idleTime` milliseconds
+ * since the last operation of the previous change, it is merged into the same undo step, so both are undone at once.
+ *
+ * The optional `predicate` function decides whether a particular change can be coalesced. It is called with the new
+ * {@link module:engine/model/batch~Batch batch} (containing only its first operation at this point) and the batch
+ * of the previous change.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				undo: {
+ *					coalescing: {
+ *						idleTime: 500,
+ *						predicate: ( batch, previousBatch ) => autoFormatBatches.has( batch )
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The default `idleTime` is `1000`. Changes done by undo and redo are never coalesced. By default, coalescing is disabled.
+ *
+ * @member {Object} module:undo/undo~UndoConfig#coalescing
+ */
+
+/**
+ * Enables separate undo and redo stacks for each {@link module:engine/model/rootelement~RootElement root} of a multi-root editor.
+ *
+ *		MultirootEditor
+ *			.create( sourceElements, {
+ *				undo: {
+ *					perRoot: true
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * A step is added to the stacks of all roots changed by it. The undo and redo commands executed without specifying a batch
+ * (for example, with the keystrokes or the toolbar buttons) revert the last step of the root in which the selection is,
+ * and a new change clears only the redo stacks of the roots it changed. Changes in different roots are never
+ * {@link module:undo/undo~UndoConfig#coalescing coalesced}.
+ *
+ * By default, all roots share the same stacks.
+ *
+ * @member {Boolean} module:undo/undo~UndoConfig#perRoot
+ */
+
+/**
+ * The ID of the local user in a collaborative editing session. Only the changes authored by the local user are added to
+ * the undo stack, so the user never undoes the changes of other users. The changes received from other users should be
+ * applied in batches with the author set by {@link module:undo/undoediting~UndoEditing#setBatchAuthor}.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				undo: {
+ *					authorId: currentUser.id
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The batches without the author set are treated as local, so the option is needed only if the local user ID
+ * is also set as the author of some batches.
+ *
+ * @member {String} module:undo/undo~UndoConfig#authorId
+ */
+
+/**
+ * Enables the undo tree mode. When new changes are made after undoing some steps, the steps which could be redone are not
+ * lost, but kept as an abandoned branch of the undo history. The user can switch back to such a branch and redo its steps.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				undo: {
+ *					keepBranches: true
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The branches are kept by the {@link module:undo/undobranches~UndoBranches undo branches feature}. See
+ * {@link module:undo/undobranches~UndoBranches#getBranches} and {@link module:undo/undobranches~UndoBranches#switchBranch}.
+ * The {@link module:undo/undoui~UndoUI undo UI feature} introduces the `'undoBranches'` dropdown listing the branches.
+ *
+ * The steps kept in the branches are limited by the {@link module:undo/undo~UndoConfig#stackSize `undo.stackSize`}
+ * and {@link module:undo/undo~UndoConfig#memoryBudget `undo.memoryBudget`} options, like the steps which can be redone.
+ * When the steps of all branches exceed them, the oldest branches are removed.
+ *
+ * By default, the redo steps are cleared by new changes.
+ *
+ * @member {Boolean} module:undo/undo~UndoConfig#keepBranches
+ */
+
+/**
+ * When set to `true`, the undo and redo commands refuse to revert steps which can be reverted only partly, or not at all,
+ * because of later changes in the document. For example, undoing the formatting of a text, a part of which was removed
+ * since, will be refused. The refused steps are kept in the stacks.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				undo: {
+ *					refusePartial: true
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * Either way, the commands fire the {@link module:undo/basecommand~BaseCommand#event:outcome `outcome`} event, which tells
+ * whether the steps were fully reverted. By default, the steps are reverted as much as possible.
+ *
+ * @member {Boolean} module:undo/undo~UndoConfig#refusePartial
+ */
+
+/**
+ * The names of the {@link module:engine/model/markercollection~Marker marker} groups which are restored by undo and redo.
+ * For example, `'comment'` stands for all markers named `'comment'` or starting with `'comment:'`.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				undo: {
+ *					restoreMarkers: [ 'comment', 'highlight' ]
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * When a step changes the content touching such a marker, the marker range is stored. When the step is reverted,
+ * the marker gets its range back, even if it was shrunk or collapsed because its content was removed. The markers removed
+ * since are added again.
+ *
+ * By default, the markers are only transformed together with the content, so, for example, undoing the removal of a commented
+ * text brings back the text, but not its comment.
+ *
+ * @member {Array.<String>} module:undo/undo~UndoConfig#restoreMarkers
+ */
+
+/**
+ * Configures how the user is shown the content changed by undo and redo. When enabled, the editing view is scrolled
+ * to the changed content, which is then highlighted for a while with the `ck-undo-highlight` CSS class. The feedback
+ * is shown by the {@link module:undo/undofeedback~UndoFeedback undo feedback feature}.
+ *
+ * The feedback is disabled by default. Set the option to `true` to enable it with the default settings:
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				undo: {
+ *					feedback: true
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * Or set it to an object to configure it:
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				undo: {
+ *					feedback: {
+ *						scroll: true,
+ *						highlight: true,
+ *						highlightDuration: 3000
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The object accepts the following properties:
+ *
+ * * `scroll` &ndash; Whether the editing view should be scrolled to the changed content. Defaults to `true`.
+ * * `highlight` &ndash; Whether the changed content should be highlighted. Removed content cannot be highlighted,
+ * but the view is still scrolled to the place from which it was removed. Defaults to `true`.
+ * * `highlightDuration` &ndash; The time (in milliseconds) for which the content stays highlighted. Defaults to `1500`.
+ *
+ * @member {Object|Boolean} module:undo/undo~UndoConfig#feedback
+ */
+
+/**
+ * The keystrokes executing the undo and redo commands. Each command accepts a keystroke, an array of keystrokes
+ * or `false` to register no keystroke.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				undo: {
+ *					keystrokes: {
+ *						undo: [ 'CTRL+Z', 'ALT+BACKSPACE' ],
+ *						redo: 'CTRL+SHIFT+Z'
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The first keystroke of each command is shown in the tooltip of its button. The commands which are not configured
+ * keep the default keystrokes: `'CTRL+Z'` for undo and `'CTRL+Y'` and `'CTRL+SHIFT+Z'` for redo.
+ *
+ * Set the option to `false` to disable the keystrokes of both commands.
+ *
+ * @member {Object|Boolean} module:undo/undo~UndoConfig#keystrokes
+ */
+
+/**
+ * The configuration of the {@link module:undo/undopersistence~UndoPersistence undo persistence feature}, which saves
+ * the undo and redo history and restores it when the editor is created again.
+ *
+ *		ClassicEditor
+ *			.create( editorElement, {
+ *				plugins: [ Undo, UndoPersistence, ... ],
+ *				undo: {
+ *					persistence: {
+ *						documentId: 'article-42',
+ *						saveInterval: 10000
+ *					}
+ *				}
+ *			} )
+ *			.then( ... )
+ *			.catch( ... );
+ *
+ * The object accepts the following properties:
+ *
+ * * `documentId` &ndash; The key under which the history is stored. The persistence is disabled when it is not set.
+ * * `saveInterval` &ndash; The time (in milliseconds) between subsequent saves of the changed history. Defaults to `5000`.
+ *
+ * The history is stored in a memory storage by default. See {@link module:undo/undopersistence~UndoPersistence#storage}
+ * to learn how to use a different storage.
+ *
+ * @member {Object} module:undo/undo~UndoConfig#persistence
+ */
+
+/**
+ * The configuration of the undo feature. Read more in {@link module:undo/undo~UndoConfig}.
+ *
+ * @member {module:undo/undo~UndoConfig} module:core/editor/editorconfig~EditorConfig#undo
+ */
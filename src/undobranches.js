@@ -0,0 +1,243 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module undo/undobranches
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import UndoEditing from './undoediting';
+import { createStepDescriptor } from './utils';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+
+/**
+ * The undo branches feature.
+ *
+ * In the {@link module:undo/undo~UndoConfig#keepBranches undo tree mode}, it keeps the redo steps abandoned by new changes
+ * as branches of the undo history, so the user can {@link #switchBranch switch} back to them later.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class UndoBranches extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ UndoEditing ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'UndoBranches';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor ) {
+		super( editor );
+
+		/**
+		 * Whether the redo steps abandoned by new changes are kept as branches of the undo history, so the user can
+		 * {@link #switchBranch switch} back to them later.
+		 *
+		 * It is set from the {@link module:undo/undo~UndoConfig#keepBranches `undo.keepBranches`} configuration option.
+		 *
+		 * @readonly
+		 * @member {Boolean} #keepBranches
+		 */
+		this.keepBranches = !!editor.config.get( 'undo.keepBranches' );
+
+		/**
+		 * The abandoned branches of the undo history, starting from the oldest one. Each branch stores the redo stack `items`
+		 * abandoned by new changes, the `forkItem` which was on the top of the undo stack at that moment (or `null` if the stack
+		 * was empty) and the `timestamp` of the moment when the branch was abandoned.
+		 *
+		 * The items of all branches are limited like the items of the redo stack. See {@link #_addBranch}.
+		 *
+		 * @private
+		 * @member {Array.<Object>} #_branches
+		 */
+		this._branches = [];
+
+		/**
+		 * The number of the abandoned branches of the undo history. See {@link #getBranches}.
+		 *
+		 * @observable
+		 * @readonly
+		 * @member {Number} #branchCount
+		 */
+		this.set( 'branchCount', 0 );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const undoEditing = this.editor.plugins.get( UndoEditing );
+
+		undoEditing._keepAbandonedSteps = this.keepBranches;
+
+		this.listenTo( undoEditing, 'abandon', ( evt, { items, forkItem } ) => {
+			this._addBranch( { items, forkItem, timestamp: Date.now() } );
+		} );
+	}
+
+	/**
+	 * Returns the abandoned branches of the undo history, starting from the oldest one. The branches are kept only if
+	 * {@link #keepBranches} is enabled.
+	 *
+	 * Each branch is described by a frozen object with the following properties:
+	 *
+	 * * `timestamp` &ndash; The time (in milliseconds since the epoch) when the branch was abandoned by new changes.
+	 * * `steps` &ndash; The steps which can be redone after {@link #switchBranch switching} to the branch, described the same way
+	 * as in {@link module:undo/undoediting~UndoEditing#getRedoStack}. The last step is redone first.
+	 *
+	 * @returns {Array.<Object>}
+	 */
+	getBranches() {
+		return this._branches.map( branch => Object.freeze( {
+			timestamp: branch.timestamp,
+			steps: branch.items.map( createStepDescriptor )
+		} ) );
+	}
+
+	/**
+	 * Switches the document to an abandoned branch of the undo history.
+	 *
+	 * All steps made since the branch was abandoned are undone at once, so the document gets back to the state from which
+	 * the branch forked. The steps of the current branch which can be redone are kept as a new abandoned branch. Then,
+	 * the redo stack is filled with the steps of the branch, so the user can redo them.
+	 *
+	 *		const undoBranches = editor.plugins.get( 'UndoBranches' );
+	 *
+	 *		// Switch to the most recently abandoned branch and redo all its steps.
+	 *		undoBranches.switchBranch( undoBranches.branchCount - 1 );
+	 *
+	 *		while ( editor.commands.get( 'redo' ).isEnabled ) {
+	 *			editor.execute( 'redo' );
+	 *		}
+	 *
+	 * @param {Number} index The index of the branch in the array returned by {@link #getBranches}.
+	 * @returns {Boolean} `false` if the undo command did not undo the steps made since the branch was abandoned,
+	 * for example, because the command was disabled by a feature or {@link module:undo/basecommand~BaseCommand#refusePartial refused}
+	 * a partial undo.
+	 */
+	switchBranch( index ) {
+		const branch = this._branches[ index ];
+
+		if ( !branch ) {
+			/**
+			 * There is no abandoned branch with given index.
+			 *
+			 * @error undobranches-switchbranch-no-branch
+			 */
+			throw new CKEditorError( 'undobranches-switchbranch-no-branch: There is no branch with given index.', this, { index } );
+		}
+
+		const items = this._getStepsSinceFork( branch );
+
+		if ( !items ) {
+			/**
+			 * The state from which the branch forked cannot be restored, because the step on which it forked has been undone
+			 * (or removed from the undo stack) or the later steps are behind a barrier
+			 * {@link module:undo/undoediting~UndoEditing#addCheckpoint checkpoint}.
+			 *
+			 * @error undobranches-switchbranch-unreachable
+			 */
+			throw new CKEditorError(
+				'undobranches-switchbranch-unreachable: The state from which the branch forked cannot be restored.', this, { index }
+			);
+		}
+
+		if ( items.length && !this.editor.commands.get( 'undo' )._revert( items ) ) {
+			return false;
+		}
+
+		const redoCommand = this.editor.commands.get( 'redo' );
+		const abandonedItems = redoCommand._stack;
+
+		redoCommand.clearStack();
+		this._branches.splice( index, 1 );
+
+		if ( abandonedItems.length ) {
+			this._addBranch( { items: abandonedItems, forkItem: branch.forkItem, timestamp: Date.now() } );
+		}
+
+		for ( const item of branch.items ) {
+			redoCommand._addItem( item );
+		}
+
+		this.branchCount = this._branches.length;
+
+		return true;
+	}
+
+	/**
+	 * Checks whether the document can be {@link #switchBranch switched} to given abandoned branch, that is whether the state
+	 * from which the branch forked can be restored by undoing the steps made since.
+	 *
+	 * @param {Number} index The index of the branch in the array returned by {@link #getBranches}.
+	 * @returns {Boolean}
+	 */
+	canSwitchBranch( index ) {
+		return !!this._branches[ index ] && !!this._getStepsSinceFork( this._branches[ index ] );
+	}
+
+	/**
+	 * Keeps an abandoned branch of the undo history. The oldest branches are removed if the items of all branches exceed
+	 * the {@link module:undo/basecommand~BaseCommand#stackSize stack size} or the
+	 * {@link module:undo/basecommand~BaseCommand#memoryBudget memory budget} of the redo command. The new branch is
+	 * always kept, as its items come from the redo stack, so they fit these limits.
+	 *
+	 * @private
+	 * @param {Object} branch
+	 */
+	_addBranch( branch ) {
+		const redoCommand = this.editor.commands.get( 'redo' );
+		const isBudgetLimited = redoCommand.memoryBudget != Number.POSITIVE_INFINITY;
+		const getBranchSize = ( { items } ) => {
+			return isBudgetLimited ? items.reduce( ( size, item ) => size + redoCommand._getItemSize( item ), 0 ) : 0;
+		};
+
+		this._branches.push( branch );
+
+		let itemCount = this._branches.reduce( ( count, { items } ) => count + items.length, 0 );
+		let size = this._branches.reduce( ( size, keptBranch ) => size + getBranchSize( keptBranch ), 0 );
+
+		while ( this._branches.length > 1 && ( itemCount > redoCommand.stackSize || size > redoCommand.memoryBudget ) ) {
+			const removedBranch = this._branches.shift();
+
+			itemCount -= removedBranch.items.length;
+			size -= getBranchSize( removedBranch );
+		}
+
+		this.branchCount = this._branches.length;
+	}
+
+	/**
+	 * Returns the undo stack items added since the branch forked, which have to be undone to switch to the branch.
+	 * Returns `null` if the step on which the branch forked is no longer in the undo stack or some of the items are
+	 * behind a barrier {@link module:undo/undoediting~UndoEditing#addCheckpoint checkpoint}.
+	 *
+	 * @private
+	 * @param {Object} branch
+	 * @returns {Array.<Object>|null}
+	 */
+	_getStepsSinceFork( branch ) {
+		const undoCommand = this.editor.commands.get( 'undo' );
+		const undoStack = undoCommand._stack;
+		const forkIndex = undoStack.indexOf( branch.forkItem );
+		const items = undoStack.slice( forkIndex + 1 );
+
+		if ( ( branch.forkItem && forkIndex == -1 ) || undoCommand._hasItemsBehindBarrier( items ) ) {
+			return null;
+		}
+
+		return items;
+	}
+}
@@ -19,39 +19,184 @@ import BaseCommand from './basecommand';
  * @extends module:undo/basecommand~BaseCommand
  */
 export default class UndoCommand extends BaseCommand {
+	constructor( editor ) {
+		super( editor );
+
+		/**
+		 * Checkpoints added by {@link module:undo/undoediting~UndoEditing#addCheckpoint}, by their names. Each checkpoint stores
+		 * the `item` which was on the top of the stack when the checkpoint was added (or `null` if the stack was empty)
+		 * and the `isBarrier` flag.
+		 *
+		 * The steps up to the item of a barrier cannot be undone.
+		 *
+		 * @protected
+		 * @member {Map.<String,Object>} #_checkpoints
+		 */
+		this._checkpoints = new Map();
+	}
+
 	/**
 	 * Executes the command. This method reverts a {@link module:engine/model/batch~Batch batch} added to the command's stack, transforms
 	 * and applies the reverted version on the {@link module:engine/model/document~Document document} and removes the batch from the stack.
 	 * Then, it restores the {@link module:engine/model/document~Document#selection document selection}.
 	 *
+	 * If an array of batches is passed, all of them are reverted, starting from the most recent one, by a single undoing batch.
+	 * This way, several steps can be undone as one action.
+	 *
+	 * The steps behind a barrier {@link module:undo/undoediting~UndoEditing#addCheckpoint checkpoint} are not undone.
+	 *
 	 * @fires execute
+	 * @fires remove
 	 * @fires revert
-	 * @param {module:engine/model/batch~Batch} [batch] A batch that should be undone. If not set, the last added batch will be undone.
+	 * @fires outcome
+	 * @param {module:engine/model/batch~Batch|Array.<module:engine/model/batch~Batch>} [batch] A batch (or batches) that should
+	 * be undone. If not set, the last added batch will be undone. In the
+	 * {@link module:undo/basecommand~BaseCommand#perRoot per-root mode}, it is the last batch which changed the root
+	 * in which the selection is.
 	 */
 	execute( batch = null ) {
-		// If batch is not given, set `batchIndex` to the last index in command stack.
-		const batchIndex = batch ? this._stack.findIndex( a => a.batch == batch ) : this._stack.length - 1;
+		// If batch is not given, take the last item in command stack (or in the stack of the selection root).
+		const items = batch ? this._getItems( batch ) : this._getCurrentStack().slice( -1 );
+
+		this._revert( items );
+	}
+
+	/**
+	 * Undoes given stack items by a single undoing batch, like {@link #execute}. Unlike executing the command, it does not depend
+	 * on {@link #isEnabled}, which tells only whether there are steps in the {@link #_getCurrentStack current stack}. This way,
+	 * the steps can be undone regardless of where the selection is.
+	 *
+	 * Nothing is undone if the command is {@link #forceDisabled force-disabled} (for example, in the read-only mode), if some
+	 * of the items are behind a barrier {@link module:undo/undoediting~UndoEditing#addCheckpoint checkpoint} or if the command
+	 * {@link module:undo/basecommand~BaseCommand#refusePartial refuses} a partial undo.
+	 *
+	 * @protected
+	 * @fires remove
+	 * @fires revert
+	 * @fires outcome
+	 * @param {Array.<Object>} items The stack items to undo.
+	 * @returns {Boolean} Whether the items were undone.
+	 */
+	_revert( items ) {
+		// The `isEnabled` state depends on the selection, so only the features which disabled the command are respected.
+		if ( this._disableStack.size || !items.length || this._hasItemsBehindBarrier( items ) || !this._checkOutcome( items ) ) {
+			return false;
+		}
+
+		this._removeItems( items, 'execute' );
 
-		const item = this._stack.splice( batchIndex, 1 )[ 0 ];
 		const undoingBatch = this.editor.model.createBatch( 'transparent' );
 
 		// All changes has to be done in one `enqueueChange` callback so other listeners will not
 		// step between consecutive operations, or won't do changes to the document before selection is properly restored.
 		this.editor.model.enqueueChange( undoingBatch, () => {
-			this._undo( item.batch, undoingBatch );
+			const statuses = [];
+
+			// Revert the batches starting from the most recent one, as if they were undone one after another.
+			for ( const item of items.slice().reverse() ) {
+				const stepBatch = this._getStepBatch( item );
 
-			const operations = this.editor.model.document.history.getOperations( item.batch.baseVersion );
-			this._restoreSelection( item.selection.ranges, item.selection.isBackward, operations );
+				statuses.push( this._undo( stepBatch, undoingBatch ) );
 
-			this.fire( 'revert', item.batch, undoingBatch );
+				const operations = this.editor.model.document.history.getOperations( stepBatch.baseVersion );
+				this._restoreSelection( item.selection, operations );
+			}
+
+			for ( const item of items ) {
+				this.fire( 'revert', item.batch, undoingBatch );
+			}
+
+			this._fireOutcome( statuses, items, true );
 		} );
 
 		this.refresh();
+
+		return true;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	mergeBatch( batch ) {
+		const lastItem = this._stack[ this._stack.length - 1 ];
+		const isCheckpoint = Array.from( this._checkpoints.values() ).some( checkpoint => checkpoint.item == lastItem );
+
+		// The state marked by a checkpoint has to stay as it is, so the new changes start a new step.
+		if ( lastItem && isCheckpoint ) {
+			this.addBatch( batch );
+		} else {
+			super.mergeBatch( batch );
+		}
+	}
+
+	/**
+	 * Returns the stack items which can be reverted by executing the command without specifying a batch.
+	 * The steps behind a barrier are omitted.
+	 *
+	 * @protected
+	 * @returns {Array.<Object>}
+	 */
+	_getCurrentStack() {
+		const stack = super._getCurrentStack();
+		const barrierIndex = this._getBarrierIndex();
+
+		if ( barrierIndex == -1 ) {
+			return stack;
+		}
+
+		const itemsAfterBarrier = new Set( this._stack.slice( barrierIndex + 1 ) );
+
+		return stack.filter( item => itemsAfterBarrier.has( item ) );
+	}
+
+	/**
+	 * Checks whether any of the items is behind a barrier {@link #_checkpoints checkpoint}, so it cannot be undone.
+	 *
+	 * @protected
+	 * @param {Array.<Object>} items The stack items.
+	 * @returns {Boolean}
+	 */
+	_hasItemsBehindBarrier( items ) {
+		const barrierIndex = this._getBarrierIndex();
+
+		if ( barrierIndex == -1 ) {
+			return false;
+		}
+
+		const itemsBehindBarrier = new Set( this._stack.slice( 0, barrierIndex + 1 ) );
+
+		return items.some( item => itemsBehindBarrier.has( item ) );
+	}
+
+	/**
+	 * Returns the index of the most recent stack item marked by a barrier {@link #_checkpoints checkpoint}
+	 * or `-1` if there is none. The items up to this index cannot be undone.
+	 *
+	 * @protected
+	 * @returns {Number}
+	 */
+	_getBarrierIndex() {
+		let barrierIndex = -1;
+
+		// The stack is refreshed by the base command constructor, before the checkpoints are set.
+		if ( !this._checkpoints ) {
+			return barrierIndex;
+		}
+
+		for ( const checkpoint of this._checkpoints.values() ) {
+			if ( checkpoint.isBarrier && checkpoint.item ) {
+				barrierIndex = Math.max( barrierIndex, this._stack.indexOf( checkpoint.item ) );
+			}
+		}
+
+		return barrierIndex;
 	}
 }
 
 /**
  * Fired when execution of the command reverts some batch.
  *
+ * If several batches are reverted at once, the event is fired for each of them, with the same undoing batch.
+ *
  * @event revert
  */
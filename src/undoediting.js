@@ -10,6 +10,22 @@
 import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
 import UndoCommand from './undocommand';
 import RedoCommand from './redocommand';
+import UndoScope from './undoscope';
+import { createDefaultLabelers } from './labelers';
+import { getOperationPositions, createStepDescriptor } from './utils';
+import Range from '@ckeditor/ckeditor5-engine/src/model/range';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+
+import '../theme/undo.css';
+
+// The default time (in milliseconds) in which a new change can be coalesced with the previous one.
+const DEFAULT_COALESCING_IDLE_TIME = 1000;
+
+// The default keystrokes executing the undo and redo commands. The first keystroke of each command is shown in the UI.
+const DEFAULT_KEYSTROKES = {
+	undo: [ 'CTRL+Z' ],
+	redo: [ 'CTRL+Y', 'CTRL+SHIFT+Z' ]
+};
 
 /**
  * The undo engine feature.
@@ -55,6 +71,185 @@ export default class UndoEditing extends Plugin {
 		 * @member {WeakSet.<module:engine/model/batch~Batch>}
 		 */
 		this._batchRegistry = new WeakSet();
+
+		/**
+		 * The labels of the steps which change only given attribute, by the attribute keys. See {@link #addAttributeLabel}.
+		 *
+		 * @private
+		 * @member {Map.<String,String>}
+		 */
+		this._attributeLabels = new Map();
+
+		/**
+		 * The labels of the steps which insert given element, by the element names. See {@link #addElementLabel}.
+		 *
+		 * @private
+		 * @member {Map.<String,String>}
+		 */
+		this._elementLabels = new Map();
+
+		/**
+		 * The batches in which a document fragment was inserted by {@link module:engine/model/model~Model#insertContent},
+		 * for example, the pasted content.
+		 *
+		 * @private
+		 * @member {WeakSet.<module:engine/model/batch~Batch>}
+		 */
+		this._contentInsertionBatches = new WeakSet();
+
+		/**
+		 * Whether a document fragment is being inserted by {@link module:engine/model/model~Model#insertContent}.
+		 *
+		 * @private
+		 * @member {Boolean}
+		 */
+		this._isInsertingFragment = false;
+
+		/**
+		 * Functions which create human-readable labels of undo steps, in the order in which they are checked.
+		 *
+		 * @private
+		 * @member {Array.<Function>}
+		 */
+		this._labelers = createDefaultLabelers( editor.t, {
+			attributeLabels: this._attributeLabels,
+			elementLabels: this._elementLabels,
+			// The step batch may contain the operations of several batches.
+			isContentInsertion: batch => batch.operations.some( operation => this._contentInsertionBatches.has( operation.batch ) )
+		} );
+
+		/**
+		 * Human-readable labels of batches stored in undo and redo stacks. Batches created by undo and redo
+		 * are labeled the same as the batches they revert.
+		 *
+		 * @private
+		 * @member {WeakMap.<module:engine/model/batch~Batch,String>}
+		 */
+		this._batchLabels = new WeakMap();
+
+		/**
+		 * Functions which decide how new batches are handled, in the order in which they are checked.
+		 * See {@link #addBatchFilter}.
+		 *
+		 * @private
+		 * @member {Array.<Function>}
+		 */
+		this._batchFilters = [];
+
+		/**
+		 * Batches ignored by the batch filters. Their changes are not added to the undo stack, like the changes
+		 * from transparent batches.
+		 *
+		 * @private
+		 * @member {WeakSet.<module:engine/model/batch~Batch>}
+		 */
+		this._ignoredBatches = new WeakSet();
+
+		/**
+		 * The last batch with new changes in the document and the time of its last operation.
+		 * It is used to {@link module:undo/undo~UndoConfig#coalescing coalesce} consecutive batches.
+		 *
+		 * @private
+		 * @member {Object|null}
+		 */
+		this._lastChange = null;
+
+		/**
+		 * The names of the roots already handled for the batches with new changes, in the
+		 * {@link module:undo/undo~UndoConfig#perRoot per-root mode}. A batch may change more roots with its later operations,
+		 * so their redo stacks are cleared then. It also stores whether the batch was coalesced with the last step.
+		 *
+		 * @private
+		 * @member {WeakMap.<module:engine/model/batch~Batch,Object>}
+		 */
+		this._handledRoots = new WeakMap();
+
+		/**
+		 * The open undo step group. It stores the nesting `depth` of the group and the last `batch` registered
+		 * in the group (or `null` if none was registered yet).
+		 *
+		 * See {@link #startGroup}.
+		 *
+		 * @private
+		 * @member {Object|null}
+		 */
+		this._group = null;
+
+		/**
+		 * The ID of the local user. Only the batches authored by the local user are added to the undo stack.
+		 *
+		 * It is set from the {@link module:undo/undo~UndoConfig#authorId `undo.authorId`} configuration option.
+		 *
+		 * See {@link #setBatchAuthor}.
+		 *
+		 * @readonly
+		 * @member {String|null} #authorId
+		 */
+		this.authorId = editor.config.get( 'undo.authorId' ) || null;
+
+		/**
+		 * Whether the redo steps abandoned by new changes are kept, so the changes which abandon them always start a new step.
+		 * The abandoned steps are passed with the {@link #event:abandon `abandon`} event then.
+		 *
+		 * It is set by the {@link module:undo/undobranches~UndoBranches undo branches feature}.
+		 *
+		 * @protected
+		 * @member {Boolean} #_keepAbandonedSteps
+		 */
+		this._keepAbandonedSteps = false;
+
+		/**
+		 * The undo scopes created by {@link #createScope}. They are destroyed together with the plugin.
+		 *
+		 * @private
+		 * @member {Array.<module:undo/undoscope~UndoScope>} #_scopes
+		 */
+		this._scopes = [];
+
+		/**
+		 * The authors of batches, set by {@link #setBatchAuthor}.
+		 *
+		 * @private
+		 * @member {WeakMap.<module:engine/model/batch~Batch,String>}
+		 */
+		this._batchAuthors = new WeakMap();
+
+		const keystrokes = editor.config.get( 'undo.keystrokes' );
+
+		/**
+		 * The keystrokes executing the undo and redo commands, as arrays stored under the `undo` and `redo` command names.
+		 * It is set from the {@link module:undo/undo~UndoConfig#keystrokes `undo.keystrokes`} configuration option.
+		 *
+		 * The first keystroke of each command is shown in the tooltip of its button.
+		 *
+		 * @readonly
+		 * @member {Object} #keystrokes
+		 */
+		this.keystrokes = {};
+
+		const keystrokesConfig = keystrokes === false ? {} : Object.assign( {}, DEFAULT_KEYSTROKES, keystrokes );
+
+		for ( const name of [ 'undo', 'redo' ] ) {
+			this.keystrokes[ name ] = keystrokesConfig[ name ] ? [].concat( keystrokesConfig[ name ] ) : [];
+		}
+
+		/**
+		 * The prefixes of the names of the markers which are restored by undo and redo. It is set from the
+		 * {@link module:undo/undo~UndoConfig#restoreMarkers `undo.restoreMarkers`} configuration option.
+		 *
+		 * @private
+		 * @member {Array.<String>} #_markerPrefixes
+		 */
+		this._markerPrefixes = editor.config.get( 'undo.restoreMarkers' ) || [];
+
+		/**
+		 * The markers changed by the batches stored in the undo and redo stacks. For each step, it maps the marker names
+		 * to the marker state right before the step changed the marker for the first time.
+		 *
+		 * @private
+		 * @member {WeakMap.<module:engine/model/batch~Batch,Map.<String,Object>>} #_markerSnapshots
+		 */
+		this._markerSnapshots = new WeakMap();
 	}
 
 	/**
@@ -87,10 +282,21 @@ export default class UndoEditing extends Plugin {
 
 			const isRedoBatch = this._redoCommand._createdBatches.has( batch );
 			const isUndoBatch = this._undoCommand._createdBatches.has( batch );
-			const isRegisteredBatch = this._batchRegistry.has( batch );
+			const isRegisteredBatch = this._batchRegistry.has( batch ) || this._ignoredBatches.has( batch );
 
 			// If changes are not a part of a batch or this is not a new batch, omit those changes.
-			if ( isRegisteredBatch || ( batch.type == 'transparent' && !isRedoBatch && !isUndoBatch ) ) {
+			// Changes done by other users are omitted as well, so they are never undone by the local user.
+			// The local changes are still correctly undone, as they are transformed by all operations in the history.
+			if ( isRegisteredBatch || !this._isLocalBatch( batch ) || ( batch.type == 'transparent' && !isRedoBatch && !isUndoBatch ) ) {
+				// The idle time for coalescing is counted from the last operation of the last change.
+				if ( this._lastChange && this._lastChange.batch == batch ) {
+					this._lastChange.time = Date.now();
+				}
+
+				if ( this._handledRoots.has( batch ) ) {
+					this._handleNewRoots( batch );
+				}
+
 				return;
 			} else {
 				if ( isRedoBatch ) {
@@ -98,9 +304,51 @@ export default class UndoEditing extends Plugin {
 					this._undoCommand.addBatch( batch );
 				} else if ( !isUndoBatch ) {
 					// A default batch - these are new changes in the document, not introduced by undo feature.
-					// Add them to `undoCommand` stack and clear `redoCommand` stack.
-					this._undoCommand.addBatch( batch );
-					this._redoCommand.clearStack();
+					// Add them to `undoCommand` stack (or merge them with the last step) and clear `redoCommand` stack.
+					// The batch filters may keep the changes out of the stack or merge them into the last step.
+					const decision = this._filterBatch( batch, operation );
+
+					if ( decision == 'ignore' ) {
+						this._ignoredBatches.add( batch );
+
+						return;
+					}
+
+					// In the per-root mode, only the redo stacks of the changed roots are cleared.
+					const rootNames = this._redoCommand.perRoot ? this._undoCommand._getRootNames( [ batch ] ) : undefined;
+					const abandonedSteps = this._getAbandonedSteps( rootNames );
+
+					// When a group is open, all its batches are merged into the step created for the first of them.
+					// The changes abandoning the kept redo steps always start a new step, so the state from which
+					// these steps forked stays as it was.
+					const shouldMerge = !abandonedSteps && ( decision == 'merge' ||
+						( this._group ? this._isInLastStep( this._group.batch ) : this._shouldCoalesce( batch ) ) );
+
+					if ( rootNames ) {
+						this._handledRoots.set( batch, {
+							rootNames: new Set( rootNames ),
+							isCoalesced: shouldMerge && decision != 'merge' && !this._group
+						} );
+					}
+
+					if ( shouldMerge ) {
+						this._undoCommand.mergeBatch( batch );
+					} else {
+						this._undoCommand.addBatch( batch );
+					}
+
+					// The group follows the step which stores the batch. Even a merged batch may start a new step
+					// if the last step is marked by a checkpoint.
+					if ( this._group ) {
+						this._group.batch = batch;
+					}
+
+					this._redoCommand.clearStack( rootNames );
+					this._lastChange = { batch, time: Date.now() };
+
+					if ( abandonedSteps ) {
+						this.fire( 'abandon', abandonedSteps );
+					}
 				}
 			}
 
@@ -108,12 +356,969 @@ export default class UndoEditing extends Plugin {
 			this._batchRegistry.add( batch );
 		}, { priority: 'highest' } );
 
+		// The batches inserting a document fragment are found by their operations, because `insertContent()` creates
+		// its own batch if it is not called in a change block.
+		this.listenTo( editor.model, 'insertContent', ( evt, [ content ] ) => {
+			this._isInsertingFragment = content.is( 'documentFragment' );
+		}, { priority: 'high' } );
+
+		this.listenTo( editor.model, 'insertContent', () => {
+			this._isInsertingFragment = false;
+		}, { priority: 'low' } );
+
+		this.listenTo( editor.model, 'applyOperation', ( evt, args ) => {
+			if ( this._isInsertingFragment && args[ 0 ].batch ) {
+				this._contentInsertionBatches.add( args[ 0 ].batch );
+			}
+		} );
+
+		// Label new batches once their changes are applied, so labelers can inspect all of their operations.
+		// If the batch was merged into a step, the whole step is labeled again.
+		this.listenTo( editor.model.document, 'change', ( evt, batch ) => {
+			const isUndoFeatureBatch = this._undoCommand._createdBatches.has( batch ) || this._redoCommand._createdBatches.has( batch );
+			const item = this._undoCommand._getItems( batch )[ 0 ];
+
+			if ( item && !isUndoFeatureBatch ) {
+				this._setBatchLabel( this._undoCommand, item.batch, this._createLabel( this._undoCommand._getStepBatch( item ) ) );
+			}
+		} );
+
 		this.listenTo( this._undoCommand, 'revert', ( evt, undoneBatch, undoingBatch ) => {
+			const redoStack = this._redoCommand._stack;
+
+			// When several batches are undone at once, all of them are reverted by the same undoing batch
+			// and it should be added to the redo stack only once.
+			if ( redoStack.length && redoStack[ redoStack.length - 1 ].batch == undoingBatch ) {
+				return;
+			}
+
 			this._redoCommand.addBatch( undoingBatch );
+			this._setBatchLabel( this._redoCommand, undoingBatch, this._batchLabels.get( undoneBatch ) );
+		} );
+
+		this.listenTo( this._redoCommand, 'revert', ( evt, redoneBatch, redoingBatch ) => {
+			if ( !this._batchLabels.has( redoingBatch ) ) {
+				this._setBatchLabel( this._undoCommand, redoingBatch, this._batchLabels.get( redoneBatch ) );
+			}
+		} );
+
+		this._initEditableScopes();
+		this._initMarkerRestoring();
+
+		for ( const name of [ 'undo', 'redo' ] ) {
+			for ( const keystroke of this.keystrokes[ name ] ) {
+				editor.keystrokes.set( keystroke, name );
+			}
+		}
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	destroy() {
+		for ( const scope of this._scopes ) {
+			scope.destroy();
+		}
+
+		super.destroy();
+	}
+
+	/**
+	 * Opens an undo step group. All new changes done in the document until the group is closed by {@link #endGroup}
+	 * are merged into a single undo step, even if they are done in separate batches, for example, after some asynchronous work.
+	 *
+	 *		const undoEditing = editor.plugins.get( 'UndoEditing' );
+	 *
+	 *		undoEditing.startGroup();
+	 *
+	 *		editor.model.change( writer => { ... } );
+	 *		await fetchMoreContent();
+	 *		editor.model.change( writer => { ... } );
+	 *
+	 *		undoEditing.endGroup();
+	 *
+	 * Groups can be nested. The step is closed when the outermost group is closed. If a step created for the group
+	 * is undone while the group is open, the following changes will create a new step.
+	 *
+	 * See also {@link #group}.
+	 */
+	startGroup() {
+		if ( this._group ) {
+			this._group.depth++;
+		} else {
+			this._group = { depth: 1, batch: null };
+		}
+	}
+
+	/**
+	 * Closes an undo step group opened by {@link #startGroup}.
+	 */
+	endGroup() {
+		if ( !this._group ) {
+			/**
+			 * An undo step group was closed, but there is no open group.
+			 *
+			 * Make sure that each {@link module:undo/undoediting~UndoEditing#endGroup `endGroup()`} call has a matching
+			 * {@link module:undo/undoediting~UndoEditing#startGroup `startGroup()`} call.
+			 *
+			 * @error undoediting-endgroup-no-group
+			 */
+			throw new CKEditorError( 'undoediting-endgroup-no-group: There is no open undo step group.', this );
+		}
+
+		if ( --this._group.depth == 0 ) {
+			this._group = null;
+		}
+	}
+
+	/**
+	 * Executes the callback in an undo step group, so all changes done by the callback are undone as a single step.
+	 *
+	 * If the callback returns a promise, the group is closed when the promise is settled.
+	 *
+	 *		editor.plugins.get( 'UndoEditing' ).group( async () => {
+	 *			for ( const match of matches ) {
+	 *				await replace( match );
+	 *			}
+	 *		} );
+	 *
+	 * @param {Function} callback
+	 * @returns {*} The value returned by the callback.
+	 */
+	group( callback ) {
+		let result;
+
+		this.startGroup();
+
+		try {
+			result = callback();
+		} catch ( error ) {
+			this.endGroup();
+
+			throw error;
+		}
+
+		if ( result && typeof result.then == 'function' ) {
+			return result.then( value => {
+				this.endGroup();
+
+				return value;
+			}, error => {
+				this.endGroup();
+
+				throw error;
+			} );
+		}
+
+		this.endGroup();
+
+		return result;
+	}
+
+	/**
+	 * Returns the steps which can be undone, starting from the oldest one.
+	 *
+	 * Each step is described by a frozen object with the following properties:
+	 *
+	 * * `batch` &ndash; The {@link module:engine/model/batch~Batch batch} which will be undone.
+	 * * `selection` &ndash; The selection state stored together with the batch: `ranges`, `isBackward` flag, selection
+	 * `attributes` (as key-value pairs) and the `selectedElement` (for example, a selected widget) or `null`.
+	 * * `timestamp` &ndash; The time (in milliseconds since the epoch) when the step was added to the stack.
+	 * * `operationCount` &ndash; The number of operations in the batch.
+	 * * `label` &ndash; The human-readable label of the step or `undefined` if it is not known.
+	 *
+	 *		const undoEditing = editor.plugins.get( 'UndoEditing' );
+	 *
+	 *		for ( const step of undoEditing.getUndoStack() ) {
+	 *			console.log( step.label, new Date( step.timestamp ) );
+	 *		}
+	 *
+	 * The returned objects are snapshots. They are not updated when the stack changes.
+	 *
+	 * If the root name is given, only the steps which changed this root are returned. It is useful in the
+	 * {@link module:undo/undo~UndoConfig#perRoot per-root mode}.
+	 *
+	 * @param {String} [rootName]
+	 * @returns {Array.<Object>}
+	 */
+	getUndoStack( rootName ) {
+		return getStack( this._undoCommand, rootName ).map( createStepDescriptor );
+	}
+
+	/**
+	 * Returns the steps which can be redone, starting from the oldest one. The steps are described the same way as in
+	 * {@link #getUndoStack}.
+	 *
+	 * @param {String} [rootName] If given, only the steps which changed this root are returned.
+	 * @returns {Array.<Object>}
+	 */
+	getRedoStack( rootName ) {
+		return getStack( this._redoCommand, rootName ).map( createStepDescriptor );
+	}
+
+	/**
+	 * Checks whether given batch can be undone, that is whether it is stored in the undo stack and it is not behind
+	 * a barrier {@link #addCheckpoint checkpoint}.
+	 *
+	 * @param {module:engine/model/batch~Batch} batch
+	 * @returns {Boolean}
+	 */
+	canUndo( batch ) {
+		const items = this._undoCommand._getItems( batch );
+
+		return items.length > 0 && !this._undoCommand._hasItemsBehindBarrier( items );
+	}
+
+	/**
+	 * Checks whether given batch can be redone, that is whether it is stored in the redo stack.
+	 *
+	 * @param {module:engine/model/batch~Batch} batch
+	 * @returns {Boolean}
+	 */
+	canRedo( batch ) {
+		return this._redoCommand._getItems( batch ).length > 0;
+	}
+
+	/**
+	 * Marks the current state of the document with a named checkpoint, for example after the document was saved.
+	 * The checkpoint is set on the top of the undo stack. Adding a checkpoint with the same name again moves it.
+	 * The document can be reverted to the checkpoint with {@link #revertTo}.
+	 *
+	 * By default, the checkpoint is a barrier, so the undo command cannot undo the steps made before it and it is disabled
+	 * when only such steps are left. The barrier can be crossed after it is {@link #removeCheckpoint removed},
+	 * for example, when the user confirmed it.
+	 *
+	 *		const undoEditing = editor.plugins.get( 'UndoEditing' );
+	 *
+	 *		editor.on( 'publish', () => undoEditing.addCheckpoint( 'published' ) );
+	 *
+	 * The checkpoints which are not barriers only mark the state:
+	 *
+	 *		undoEditing.addCheckpoint( 'saved', { isBarrier: false } );
+	 *
+	 * @param {String} name The name of the checkpoint.
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.isBarrier=true] Whether the undo command cannot cross the checkpoint.
+	 */
+	addCheckpoint( name, { isBarrier = true } = {} ) {
+		const stack = this._undoCommand._stack;
+
+		this._undoCommand._checkpoints.set( name, {
+			item: stack[ stack.length - 1 ] || null,
+			isBarrier
+		} );
+
+		this._undoCommand.refresh();
+	}
+
+	/**
+	 * Removes a checkpoint added by {@link #addCheckpoint}. If it was a barrier, the steps behind it can be undone again.
+	 *
+	 * @param {String} name The name of the checkpoint.
+	 */
+	removeCheckpoint( name ) {
+		this._undoCommand._checkpoints.delete( name );
+		this._undoCommand.refresh();
+	}
+
+	/**
+	 * Checks whether a checkpoint with given name was {@link #addCheckpoint added}.
+	 *
+	 * @param {String} name The name of the checkpoint.
+	 * @returns {Boolean}
+	 */
+	hasCheckpoint( name ) {
+		return this._undoCommand._checkpoints.has( name );
+	}
+
+	/**
+	 * Reverts the document to the state marked by a checkpoint {@link #addCheckpoint added} before. All steps made after
+	 * the checkpoint are undone at once by the undo command, so the whole change can be redone as a single step and
+	 * the selection is restored to where it was before these steps.
+	 *
+	 *		// Discard the unsaved changes.
+	 *		editor.plugins.get( 'UndoEditing' ).revertTo( 'saved' );
+	 *
+	 * The steps are reverted wherever the selection is, also in the {@link module:undo/basecommand~BaseCommand#perRoot per-root mode}
+	 * and in the {@link #addEditableScope editable scopes}. Nothing is reverted if the undo command is disabled by a feature or
+	 * in the read-only mode, if some of the steps are behind a barrier added after the checkpoint or if the command
+	 * {@link module:undo/basecommand~BaseCommand#refusePartial refuses} a partial undo.
+	 *
+	 * @param {String} name The name of the checkpoint.
+	 * @returns {Boolean} `false` if the steps made after the checkpoint were not reverted.
+	 */
+	revertTo( name ) {
+		const checkpoint = this._undoCommand._checkpoints.get( name );
+
+		if ( !checkpoint ) {
+			/**
+			 * There is no checkpoint with given name.
+			 *
+			 * @error undoediting-revertto-no-checkpoint
+			 */
+			throw new CKEditorError( 'undoediting-revertto-no-checkpoint: There is no checkpoint with given name.', this, { name } );
+		}
+
+		const stack = this._undoCommand._stack;
+		const index = stack.indexOf( checkpoint.item );
+
+		if ( checkpoint.item && index == -1 ) {
+			/**
+			 * The state marked by the checkpoint cannot be restored, because the step on which it was added
+			 * has been undone (or removed from the undo stack).
+			 *
+			 * @error undoediting-revertto-checkpoint-unreachable
+			 */
+			throw new CKEditorError(
+				'undoediting-revertto-checkpoint-unreachable: The state marked by the checkpoint cannot be restored.', this, { name }
+			);
+		}
+
+		const items = stack.slice( index + 1 );
+
+		return !items.length || this._undoCommand._revert( items );
+	}
+
+	/**
+	 * Adds a named undo scope for nested editables, for example, image captions or table cells. When the selection is inside
+	 * such an editable, the undo and redo commands executed without specifying a batch (for example, with the keystrokes)
+	 * revert only the steps which changed that editable. If there are no such steps, they revert the last step, as usual.
+	 *
+	 * The editables are the model elements matched by the given element name or the callback:
+	 *
+	 *		const undoEditing = editor.plugins.get( 'UndoEditing' );
+	 *
+	 *		undoEditing.addEditableScope( 'caption', 'caption' );
+	 *		undoEditing.addEditableScope( 'tableCell', element => element.is( 'tableCell' ) );
+	 *
+	 * If the selection is in several nested editables, the innermost one is used. The changes made in the editables
+	 * before the scope was added are not known to the scope.
+	 *
+	 * @param {String} name The name of the scope. Adding a scope with the same name again replaces it.
+	 * @param {String|Function} element The name of the model elements or a callback which is called with a model element
+	 * and returns `true` if it is a nested editable of the scope.
+	 */
+	addEditableScope( name, element ) {
+		const isScopeElement = typeof element == 'string' ? node => node.is( 'element', element ) : element;
+
+		for ( const command of [ this._undoCommand, this._redoCommand ] ) {
+			command._editableScopes.set( name, isScopeElement );
+			command.refresh();
+		}
+	}
+
+	/**
+	 * Removes an undo scope added by {@link #addEditableScope}.
+	 *
+	 * @param {String} name The name of the scope.
+	 */
+	removeEditableScope( name ) {
+		for ( const command of [ this._undoCommand, this._redoCommand ] ) {
+			command._editableScopes.delete( name );
+			command.refresh();
+		}
+	}
+
+	/**
+	 * Creates an independent {@link module:undo/undoscope~UndoScope undo scope} for the changes made in a detached tree,
+	 * for example, in a document fragment which is edited in a preview before it is inserted into the document.
+	 * The undo and redo commands ignore such changes, so the scope keeps its own undo and redo stacks.
+	 *
+	 *		const fragment = editor.model.change( writer => writer.createDocumentFragment() );
+	 *		const scope = editor.plugins.get( 'UndoEditing' ).createScope( fragment );
+	 *
+	 *		previewKeystrokes.set( 'CTRL+Z', ( data, cancel ) => {
+	 *			scope.undo();
+	 *			cancel();
+	 *		} );
+	 *
+	 * The scope should be {@link module:undo/undoscope~UndoScope#destroy destroyed} once the tree is no longer edited.
+	 * Otherwise, it is destroyed together with the plugin.
+	 *
+	 * @param {module:engine/model/documentfragment~DocumentFragment|module:engine/model/element~Element} root The root
+	 * of the detached tree.
+	 * @returns {module:undo/undoscope~UndoScope}
+	 */
+	createScope( root ) {
+		if ( root.root != root || root.is( 'rootElement' ) ) {
+			/**
+			 * An undo scope can be created only for a document fragment or an element which is not attached to any tree.
+			 *
+			 * @error undoediting-createscope-invalid-root
+			 */
+			throw new CKEditorError(
+				'undoediting-createscope-invalid-root: An undo scope can be created only for the root of a detached tree.', this
+			);
+		}
+
+		const scope = new UndoScope( this.editor, root );
+
+		this._scopes.push( scope );
+
+		return scope;
+	}
+
+	/**
+	 * Registers a function which creates human-readable labels of undo steps, for example `'Insert table'`.
+	 *
+	 * The labeler is called with a {@link module:engine/model/batch~Batch batch} once all changes from the batch are applied.
+	 * It should return the label of the step, or `undefined` if it does not recognize the batch. Labelers added later
+	 * are checked before the ones added earlier, including the default ones, so features can provide more specific labels.
+	 *
+	 *		editor.plugins.get( 'UndoEditing' ).addLabeler( batch => {
+	 *			if ( batch.operations.some( operation => operation.type == 'rename' ) ) {
+	 *				return t( 'Change block type' );
+	 *			}
+	 *		} );
+	 *
+	 * @param {Function} labeler
+	 */
+	addLabeler( labeler ) {
+		this._labelers.unshift( labeler );
+	}
+
+	/**
+	 * Sets the label of the undo steps which change only given attribute of the content. The default labelers do not know
+	 * the attributes of the features, so such steps are labeled as `'Formatting'` unless the feature sets the label.
+	 *
+	 *		editor.plugins.get( 'UndoEditing' ).addAttributeLabel( 'bold', t( 'Bold' ) );
+	 *
+	 * @param {String} key The attribute key.
+	 * @param {String} label The label of the step.
+	 */
+	addAttributeLabel( key, label ) {
+		this._attributeLabels.set( key, label );
+	}
+
+	/**
+	 * Sets the label of the undo steps which insert given element. The default labelers do not know the elements
+	 * of the features, so such steps are labeled as `'Insert'` (or `'Paste'`) unless the feature sets the label.
+	 *
+	 *		editor.plugins.get( 'UndoEditing' ).addElementLabel( 'table', t( 'Insert table' ) );
+	 *
+	 * @param {String} name The element name.
+	 * @param {String} label The label of the step.
+	 */
+	addElementLabel( name, label ) {
+		this._elementLabels.set( name, label );
+	}
+
+	/**
+	 * Registers a function which decides how a new batch is handled by undo. It is more selective than using
+	 * a `'transparent'` batch, as it can be used to keep out of the undo stack the changes which are not made by the user.
+	 *
+	 * The filter is called with each new batch and its first operation, before the operation is applied. Only the batches
+	 * added to the undo stack are checked, so the transparent batches and the batches created by undo and redo are not.
+	 * The filter should return one of the following decisions, or `undefined` to leave the decision to other filters:
+	 *
+	 * * `'ignore'` &ndash; The changes from the batch are not added to the undo stack, like in a transparent batch.
+	 * * `'record'` &ndash; The batch is added to the undo stack as usual.
+	 * * `'merge'` &ndash; The batch is merged into the last undo step, so both are undone at once.
+	 *
+	 * Filters added later are checked before the ones added earlier. If none of them decides, the batch is recorded.
+	 *
+	 *		editor.plugins.get( 'UndoEditing' ).addBatchFilter( ( batch, operation ) => {
+	 *			if ( operation.type.endsWith( 'Attribute' ) && operation.key == 'data-sync' ) {
+	 *				return 'ignore';
+	 *			}
+	 *		} );
+	 *
+	 * @param {Function} filter
+	 */
+	addBatchFilter( filter ) {
+		this._batchFilters.unshift( filter );
+	}
+
+	/**
+	 * Returns the human-readable label of an undo step stored in the undo or redo stack.
+	 *
+	 * @param {module:engine/model/batch~Batch} batch A batch stored in the undo or redo stack.
+	 * @returns {String|undefined}
+	 */
+	getBatchLabel( batch ) {
+		return this._batchLabels.get( batch );
+	}
+
+	/**
+	 * Sets the author of a batch. In collaborative editing, it should be set for the batches with changes received from
+	 * other users before they are applied, so they are not added to the undo stack of the local user:
+	 *
+	 *		const batch = editor.model.createBatch();
+	 *
+	 *		editor.plugins.get( 'UndoEditing' ).setBatchAuthor( batch, remoteChange.authorId );
+	 *
+	 *		editor.model.enqueueChange( batch, writer => {
+	 *			for ( const operation of remoteChange.operations ) {
+	 *				batch.addOperation( operation );
+	 *				editor.model.applyOperation( operation );
+	 *			}
+	 *		} );
+	 *
+	 * The batches without the author set are authored by the local user (see {@link #authorId}).
+	 *
+	 * @param {module:engine/model/batch~Batch} batch
+	 * @param {String} authorId
+	 */
+	setBatchAuthor( batch, authorId ) {
+		this._batchAuthors.set( batch, authorId );
+	}
+
+	/**
+	 * Returns the author of a batch. It is {@link #authorId the local user} unless a different author was
+	 * {@link #setBatchAuthor set} for the batch.
+	 *
+	 * @param {module:engine/model/batch~Batch} batch
+	 * @returns {String|null}
+	 */
+	getBatchAuthor( batch ) {
+		return this._batchAuthors.has( batch ) ? this._batchAuthors.get( batch ) : this.authorId;
+	}
+
+	/**
+	 * Replaces the undo and redo stacks with given items, for example, with the steps of the history
+	 * {@link module:undo/undoexport~UndoExport#importHistory imported} from another editor. The batches of the items are
+	 * registered, so their changes are not added to the stacks again.
+	 *
+	 * @protected
+	 * @param {Array.<Object>} undoItems The items of the undo stack, starting from the oldest one.
+	 * @param {Array.<Object>} redoItems The items of the redo stack, starting from the oldest one.
+	 */
+	_setStacks( undoItems, redoItems ) {
+		this._undoCommand.clearStack();
+		this._redoCommand.clearStack();
+		this._lastChange = null;
+
+		for ( const [ command, items ] of [ [ this._undoCommand, undoItems ], [ this._redoCommand, redoItems ] ] ) {
+			for ( const item of items ) {
+				for ( const batch of [ item.batch, ...item.mergedBatches ] ) {
+					this._batchRegistry.add( batch );
+
+					// Batches in the redo stack are always created by the undo command.
+					if ( command == this._redoCommand ) {
+						this._undoCommand._createdBatches.add( batch );
+					}
+				}
+
+				if ( item.label ) {
+					this._batchLabels.set( item.batch, item.label );
+				}
+
+				command._addItem( item );
+			}
+		}
+	}
+
+	/**
+	 * Tracks the nested editables with their own {@link #addEditableScope undo scopes} touched by the batches.
+	 * Both commands use the same tracked elements, so they are found only once.
+	 *
+	 * @private
+	 */
+	_initEditableScopes() {
+		const touchedScopeElements = this._undoCommand._touchedScopeElements;
+
+		this._redoCommand._touchedScopeElements = touchedScopeElements;
+
+		// The touched elements are found before the operation is applied, while its positions are still valid.
+		this.listenTo( this.editor.model, 'applyOperation', ( evt, args ) => {
+			const operation = args[ 0 ];
+
+			if ( !this._undoCommand._editableScopes.size || !operation.isDocumentOperation || !operation.batch ) {
+				return;
+			}
+
+			const touchedElements = touchedScopeElements.get( operation.batch ) || new Set();
+
+			for ( const position of getOperationPositions( operation ) ) {
+				for ( const element of position.parent.getAncestors( { includeSelf: true } ) ) {
+					if ( this._undoCommand._isScopeElement( element ) ) {
+						touchedElements.add( element );
+					}
+				}
+			}
+
+			touchedScopeElements.set( operation.batch, touchedElements );
+		}, { priority: 'high' } );
+	}
+
+	/**
+	 * Makes the undo and redo commands restore the ranges of the markers changed by the reverted steps, as configured by
+	 * {@link module:undo/undo~UndoConfig#restoreMarkers `undo.restoreMarkers`}.
+	 *
+	 * @private
+	 */
+	_initMarkerRestoring() {
+		if ( !this._markerPrefixes.length ) {
+			return;
+		}
+
+		// The batch is already registered (or merged into a step) by the listener with the highest priority.
+		this.listenTo( this.editor.model, 'applyOperation', ( evt, args ) => {
+			const operation = args[ 0 ];
+
+			if ( operation.isDocumentOperation && this._batchRegistry.has( operation.batch ) ) {
+				this._snapshotMarkers( operation );
+			}
+		}, { priority: 'high' } );
+
+		// The markers are restored in the same batch as the reverted changes, so redo reverts them as well.
+		for ( const command of [ this._undoCommand, this._redoCommand ] ) {
+			this.listenTo( command, 'outcome', ( evt, data ) => {
+				if ( data.isApplied ) {
+					this._restoreMarkers( data.batches );
+				}
+			} );
+		}
+	}
+
+	/**
+	 * Stores the state of the restored markers which will be changed by given operation, unless the step of the operation
+	 * has already changed them.
+	 *
+	 * @private
+	 * @param {module:engine/model/operation/operation~Operation} operation The operation which is about to be applied.
+	 */
+	_snapshotMarkers( operation ) {
+		const operationRanges = getStructureChangeRanges( operation );
+
+		if ( !operationRanges.length ) {
+			return;
+		}
+
+		// Batches merged into a step are stored under the first batch of the step.
+		const item = this._undoCommand._getItems( operation.batch )[ 0 ];
+		const stepBatch = item ? item.batch : operation.batch;
+
+		if ( !this._markerSnapshots.has( stepBatch ) ) {
+			this._markerSnapshots.set( stepBatch, new Map() );
+		}
+
+		const snapshots = this._markerSnapshots.get( stepBatch );
+
+		for ( const marker of this.editor.model.markers ) {
+			if ( snapshots.has( marker.name ) || !this._markerPrefixes.some( prefix => isInGroup( marker.name, prefix ) ) ) {
+				continue;
+			}
+
+			const range = marker.getRange();
+
+			if ( operationRanges.some( operationRange => areTouching( range, operationRange ) ) ) {
+				snapshots.set( marker.name, {
+					range,
+					baseVersion: operation.baseVersion,
+					usingOperation: marker.managedUsingOperations,
+					affectsData: marker.affectsData
+				} );
+			}
+		}
+	}
+
+	/**
+	 * Brings the markers changed by given reverted steps back to their state from before the steps. When several steps
+	 * were reverted at once, the state from before the oldest of them is restored. The markers removed since are added again.
+	 *
+	 * @private
+	 * @param {Array.<module:engine/model/batch~Batch>} batches The batches of the reverted steps.
+	 */
+	_restoreMarkers( batches ) {
+		const model = this.editor.model;
+		const document = model.document;
+		const snapshots = new Map();
+
+		for ( const batch of batches ) {
+			for ( const [ name, snapshot ] of this._markerSnapshots.get( batch ) || [] ) {
+				if ( !snapshots.has( name ) || snapshot.baseVersion < snapshots.get( name ).baseVersion ) {
+					snapshots.set( name, snapshot );
+				}
+			}
+		}
+
+		if ( !snapshots.size ) {
+			return;
+		}
+
+		model.change( writer => {
+			for ( const [ name, snapshot ] of snapshots ) {
+				const operations = Array.from( document.history.getOperations( snapshot.baseVersion ) );
+				const range = joinRanges( snapshot.range.getTransformedByOperations( operations ), document.graveyard );
+
+				if ( !range ) {
+					continue;
+				}
+
+				if ( model.markers.has( name ) ) {
+					writer.updateMarker( name, { range } );
+				} else {
+					writer.addMarker( name, { range, usingOperation: snapshot.usingOperation, affectsData: snapshot.affectsData } );
+				}
+			}
 		} );
+	}
+
+	/**
+	 * Returns the redo stack items which will be abandoned, because they are cleared by new changes, together with
+	 * the `forkItem` on the top of the undo stack (or `null` if the stack is empty). Returns `null` if there are no such
+	 * items or the abandoned steps are not {@link #_keepAbandonedSteps kept}.
+	 *
+	 * @private
+	 * @param {Array.<String>} [rootNames] The names of the roots which redo stacks are cleared. All are cleared if not set.
+	 * @returns {Object|null}
+	 */
+	_getAbandonedSteps( rootNames ) {
+		if ( !this._keepAbandonedSteps ) {
+			return null;
+		}
 
-		editor.keystrokes.set( 'CTRL+Z', 'undo' );
-		editor.keystrokes.set( 'CTRL+Y', 'redo' );
-		editor.keystrokes.set( 'CTRL+SHIFT+Z', 'redo' );
+		const items = this._redoCommand._stack.filter( item => {
+			return !rootNames || this._redoCommand._getItemRoots( item ).some( rootName => rootNames.includes( rootName ) );
+		} );
+
+		if ( !items.length ) {
+			return null;
+		}
+
+		const undoStack = this._undoCommand._stack;
+
+		return { items, forkItem: undoStack[ undoStack.length - 1 ] || null };
+	}
+
+	/**
+	 * Handles the roots changed by the later operations of a batch with new changes, in the
+	 * {@link module:undo/undo~UndoConfig#perRoot per-root mode}. The redo stacks of the roots which were not changed
+	 * by the batch before are cleared (and their steps are abandoned).
+	 *
+	 * Like for the first operation of the batch, abandoning the kept redo steps or a change in a root not changed by
+	 * the coalesced step starts a new step. It is possible only while the batch is the last one merged into the last step.
+	 *
+	 * @private
+	 * @param {module:engine/model/batch~Batch} batch
+	 */
+	_handleNewRoots( batch ) {
+		const handled = this._handledRoots.get( batch );
+		const rootNames = this._undoCommand._getRootNames( [ batch ] ).filter( rootName => !handled.rootNames.has( rootName ) );
+
+		if ( !rootNames.length ) {
+			return;
+		}
+
+		rootNames.forEach( rootName => handled.rootNames.add( rootName ) );
+
+		const abandonedSteps = this._getAbandonedSteps( rootNames );
+		const stack = this._undoCommand._stack;
+		const lastItem = stack[ stack.length - 1 ];
+
+		if ( lastItem && lastItem.mergedBatches[ lastItem.mergedBatches.length - 1 ] == batch ) {
+			const stepRoots = this._undoCommand._getRootNames( [ lastItem.batch, ...lastItem.mergedBatches.slice( 0, -1 ) ] );
+			const breaksCoalescing = handled.isCoalesced && rootNames.some( rootName => !stepRoots.includes( rootName ) );
+
+			if ( abandonedSteps || breaksCoalescing ) {
+				this._undoCommand.splitBatch( batch );
+				handled.isCoalesced = false;
+			}
+		}
+
+		this._redoCommand.clearStack( rootNames );
+
+		if ( abandonedSteps ) {
+			this.fire( 'abandon', abandonedSteps );
+		}
+	}
+
+	/**
+	 * Checks the batch filters added by {@link #addBatchFilter} and returns the decision of the first one which decided
+	 * how the batch is handled.
+	 *
+	 * @private
+	 * @param {module:engine/model/batch~Batch} batch
+	 * @param {module:engine/model/operation/operation~Operation} operation The first operation of the batch.
+	 * @returns {'ignore'|'record'|'merge'}
+	 */
+	_filterBatch( batch, operation ) {
+		for ( const filter of this._batchFilters ) {
+			const decision = filter( batch, operation );
+
+			if ( decision ) {
+				return decision;
+			}
+		}
+
+		return 'record';
 	}
+
+	/**
+	 * Checks whether the batch was authored by the local user.
+	 *
+	 * @private
+	 * @param {module:engine/model/batch~Batch} batch
+	 * @returns {Boolean}
+	 */
+	_isLocalBatch( batch ) {
+		return this.getBatchAuthor( batch ) === this.authorId;
+	}
+
+	/**
+	 * Checks whether a new batch should be merged into the last undo step, according to the
+	 * {@link module:undo/undo~UndoConfig#coalescing `undo.coalescing`} configuration.
+	 *
+	 * @private
+	 * @param {module:engine/model/batch~Batch} batch The new batch, containing its first operation.
+	 * @returns {Boolean}
+	 */
+	_shouldCoalesce( batch ) {
+		const config = this.editor.config.get( 'undo.coalescing' );
+
+		if ( !config || !this._lastChange ) {
+			return false;
+		}
+
+		// Coalesce only with the step containing the last change, so undoing or redoing a step breaks coalescing.
+		if ( !this._isInLastStep( this._lastChange.batch ) ) {
+			return false;
+		}
+
+		// In the per-root mode, a change in a different root starts a new step in the stack of that root.
+		if ( this._undoCommand.perRoot ) {
+			const stack = this._undoCommand._stack;
+			const lastStepRoots = this._undoCommand._getItemRoots( stack[ stack.length - 1 ] );
+
+			if ( !this._undoCommand._getRootNames( [ batch ] ).every( rootName => lastStepRoots.includes( rootName ) ) ) {
+				return false;
+			}
+		}
+
+		const idleTime = config.idleTime === undefined ? DEFAULT_COALESCING_IDLE_TIME : config.idleTime;
+
+		if ( Date.now() - this._lastChange.time > idleTime ) {
+			return false;
+		}
+
+		return !config.predicate || !!config.predicate( batch, this._lastChange.batch );
+	}
+
+	/**
+	 * Checks whether given batch is stored in the last step of the undo stack.
+	 *
+	 * @private
+	 * @param {module:engine/model/batch~Batch|null} batch
+	 * @returns {Boolean}
+	 */
+	_isInLastStep( batch ) {
+		const stack = this._undoCommand._stack;
+
+		return !!batch && !!stack.length && this._undoCommand._getItems( batch ).includes( stack[ stack.length - 1 ] );
+	}
+
+	/**
+	 * Creates the label of a batch using the registered labelers.
+	 *
+	 * @private
+	 * @param {module:engine/model/batch~Batch} batch
+	 * @returns {String|undefined}
+	 */
+	_createLabel( batch ) {
+		for ( const labeler of this._labelers ) {
+			const label = labeler( batch );
+
+			if ( label ) {
+				return label;
+			}
+		}
+	}
+
+	/**
+	 * Stores the label of a batch and passes it to the command which stack contains the batch.
+	 *
+	 * @private
+	 * @param {module:undo/basecommand~BaseCommand} command
+	 * @param {module:engine/model/batch~Batch} batch
+	 * @param {String|undefined} label
+	 */
+	_setBatchLabel( command, batch, label ) {
+		if ( label ) {
+			this._batchLabels.set( batch, label );
+			command.setLabel( batch, label );
+		}
+	}
+
+	/**
+	 * Fired when new changes clear the redo steps which are {@link #_keepAbandonedSteps kept}, after the redo stack was cleared.
+	 *
+	 * @event abandon
+	 * @param {Object} data
+	 * @param {Array.<Object>} data.items The abandoned redo stack items, starting from the oldest one.
+	 * @param {Object|null} data.forkItem The undo stack item from which the abandoned steps forked or `null` if the undo stack
+	 * was empty.
+	 */
+}
+
+// Returns the ranges in which given operation changes the document structure, before the operation is applied.
+// The markers touching these ranges may change their shape.
+//
+// @param {module:engine/model/operation/operation~Operation} operation
+// @returns {Array.<module:engine/model/range~Range>}
+function getStructureChangeRanges( operation ) {
+	switch ( operation.type ) {
+		case 'insert':
+			return [ new Range( operation.position ) ];
+		case 'move':
+		case 'remove':
+		case 'reinsert':
+		case 'merge':
+			return [
+				new Range( operation.sourcePosition, operation.sourcePosition.getShiftedBy( operation.howMany ) ),
+				new Range( operation.targetPosition )
+			];
+		case 'split':
+			return [ new Range( operation.splitPosition ) ];
+	}
+
+	return [];
+}
+
+// Checks whether the marker name belongs to the group with given name, for example, `'comment:1'` to `'comment'`.
+//
+// @param {String} markerName
+// @param {String} groupName
+// @returns {Boolean}
+function isInGroup( markerName, groupName ) {
+	return markerName == groupName || markerName.startsWith( groupName + ':' );
+}
+
+// Checks whether the ranges intersect or touch each other.
+//
+// @param {module:engine/model/range~Range} rangeA
+// @param {module:engine/model/range~Range} rangeB
+// @returns {Boolean}
+function areTouching( rangeA, rangeB ) {
+	return rangeA.root == rangeB.root && !rangeA.end.isBefore( rangeB.start ) && !rangeB.end.isBefore( rangeA.start );
+}
+
+// Returns the range spanning over all given ranges which are in the same root as the first of them, omitting
+// the ranges in the graveyard. Returns `null` if all ranges are in the graveyard.
+//
+// @param {Array.<module:engine/model/range~Range>} ranges
+// @param {module:engine/model/rootelement~RootElement} graveyard
+// @returns {module:engine/model/range~Range|null}
+function joinRanges( ranges, graveyard ) {
+	const rootRanges = ranges.filter( range => range.root != graveyard );
+
+	if ( !rootRanges.length ) {
+		return null;
+	}
+
+	const root = rootRanges[ 0 ].root;
+
+	return rootRanges.filter( range => range.root == root ).reduce( ( joined, range ) => new Range(
+		range.start.isBefore( joined.start ) ? range.start : joined.start,
+		range.end.isAfter( joined.end ) ? range.end : joined.end
+	) );
+}
+
+// Returns the whole stack of the command or the items which changed given root.
+//
+// @param {module:undo/basecommand~BaseCommand} command
+// @param {String} [rootName]
+// @returns {Array.<Object>}
+function getStack( command, rootName ) {
+	return rootName ? command._getRootStack( rootName ) : command._stack;
 }
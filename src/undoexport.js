@@ -0,0 +1,192 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module undo/undoexport
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import UndoEditing from './undoediting';
+import Batch from '@ckeditor/ckeditor5-engine/src/model/batch';
+import Element from '@ckeditor/ckeditor5-engine/src/model/element';
+import Range from '@ckeditor/ckeditor5-engine/src/model/range';
+import OperationFactory from '@ckeditor/ckeditor5-engine/src/model/operation/operationfactory';
+
+/**
+ * The undo history export feature.
+ *
+ * It allows exporting the undo and redo history of the {@link module:undo/undoediting~UndoEditing undo editing feature}
+ * to an object which can be serialized to JSON and importing it back, for example, after the editor was reloaded.
+ *
+ * See also the {@link module:undo/undopersistence~UndoPersistence undo persistence feature}, which does it automatically.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class UndoExport extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ UndoEditing ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'UndoExport';
+	}
+
+	/**
+	 * Exports the undo and redo history to an object which can be serialized to JSON, for example, to be stored together
+	 * with the editor data.
+	 *
+	 * The exported object contains the steps from both stacks, the {@link module:engine/model/history~History history}
+	 * operations applied since the oldest step, the content of the graveyard and the stored selection ranges.
+	 *
+	 *		const historyData = editor.plugins.get( 'UndoExport' ).exportHistory();
+	 *
+	 *		localStorage.setItem( 'history', JSON.stringify( historyData ) );
+	 *
+	 * See {@link #importHistory}.
+	 *
+	 * @returns {Object}
+	 */
+	exportHistory() {
+		const document = this.editor.model.document;
+		const history = document.history;
+		const undoCommand = this.editor.commands.get( 'undo' );
+		const redoCommand = this.editor.commands.get( 'redo' );
+
+		// Export only the part of the history which is needed to undo or redo the steps.
+		const baseVersion = [ undoCommand, redoCommand ].reduce( ( version, command ) => {
+			return command._stack.reduce( ( version, item ) => Math.min( version, command._getStepBatch( item ).baseVersion ), version );
+		}, document.version );
+
+		const operations = history.getOperations( baseVersion );
+		const undoPairs = [];
+
+		for ( const operation of operations ) {
+			const undoneOperation = history.getUndoneOperation( operation );
+
+			if ( undoneOperation && undoneOperation.baseVersion >= baseVersion ) {
+				undoPairs.push( [ operation.baseVersion - baseVersion, undoneOperation.baseVersion - baseVersion ] );
+			}
+		}
+
+		const exportItem = item => ( {
+			type: item.batch.type,
+			batches: [ item.batch, ...item.mergedBatches ].map( batch => {
+				return batch.operations
+					.filter( operation => operation.isDocumentOperation )
+					.map( operation => operation.baseVersion - baseVersion );
+			} ),
+			selection: {
+				ranges: item.selection.ranges.map( range => range.toJSON() ),
+				isBackward: item.selection.isBackward,
+				attributes: item.selection.attributes,
+				selectedElement: item.selection.selectedElement && {
+					root: item.selection.selectedElement.root.rootName,
+					path: item.selection.selectedElement.getPath()
+				}
+			},
+			timestamp: item.timestamp,
+			label: item.label
+		} );
+
+		return {
+			operations: operations.map( operation => operation.toJSON() ),
+			undoPairs,
+			graveyard: Array.from( document.graveyard.getChildren(), node => node.toJSON() ),
+			undoStack: undoCommand._stack.map( exportItem ),
+			redoStack: redoCommand._stack.map( exportItem )
+		};
+	}
+
+	/**
+	 * Restores the undo and redo history exported by {@link #exportHistory}. The current history is discarded.
+	 *
+	 * The history must be imported into a document with exactly the same content as the document from which it was exported,
+	 * for example, right after loading the data saved together with the history. The exported operations are added to
+	 * the document {@link module:engine/model/history~History history} as if they were just applied, so the restored steps
+	 * can be undone and redone.
+	 *
+	 *		editor.plugins.get( 'UndoExport' ).importHistory( JSON.parse( localStorage.getItem( 'history' ) ) );
+	 *
+	 * @param {Object} historyData The object returned by {@link #exportHistory}.
+	 */
+	importHistory( historyData ) {
+		const document = this.editor.model.document;
+		const history = document.history;
+		const graveyard = document.graveyard;
+
+		// Parse the whole history before anything is changed, so invalid history data does not leave the history
+		// or the graveyard in a broken state.
+		const graveyardContent = Element.fromJSON( { name: graveyard.rootName, children: historyData.graveyard } );
+		const operations = historyData.operations.map( json => OperationFactory.fromJSON( json, document ) );
+
+		const parseItem = itemData => {
+			const [ batch, ...mergedBatches ] = itemData.batches.map( indexes => {
+				const batch = new Batch( itemData.type );
+
+				for ( const index of indexes ) {
+					batch.addOperation( operations[ index ] );
+				}
+
+				return batch;
+			} );
+
+			const selectedElementData = itemData.selection.selectedElement;
+
+			const selection = {
+				ranges: itemData.selection.ranges.map( json => Range.fromJSON( json, document ) ),
+				isBackward: itemData.selection.isBackward,
+				attributes: itemData.selection.attributes || [],
+				selectedElement: selectedElementData ? getElementByPath( document, selectedElementData, graveyardContent ) : null
+			};
+
+			return { batch, selection, timestamp: itemData.timestamp, mergedBatches, label: itemData.label };
+		};
+
+		const undoItems = historyData.undoStack.map( parseItem );
+		const redoItems = historyData.redoStack.map( parseItem );
+
+		// Undoing removals brings back the content from the graveyard, so it has to be restored as well. The graveyard is not
+		// a part of the editor data, so its content is replaced directly, without operations.
+		graveyard._removeChildren( 0, graveyard.childCount );
+		graveyard._insertChild( 0, graveyardContent._removeChildren( 0, graveyardContent.childCount ) );
+
+		// Append the operations to the history. They describe how the current document content was created, so they are
+		// not applied, only their base versions are updated to follow the current document version.
+		for ( const operation of operations ) {
+			operation.baseVersion = document.version;
+			history.addOperation( operation );
+			document.version++;
+		}
+
+		for ( const [ undoingIndex, undoneIndex ] of historyData.undoPairs ) {
+			history.setOperationAsUndone( operations[ undoneIndex ], operations[ undoingIndex ] );
+		}
+
+		this.editor.plugins.get( UndoEditing )._setStacks( undoItems, redoItems );
+	}
+}
+
+// Returns the element at given path in the root with given name or `null` if there is no element there.
+// The elements in the graveyard are looked up in the graveyard content which is being imported.
+//
+// @param {module:engine/model/document~Document} document
+// @param {Object} data The root name and the path of the element.
+// @param {module:engine/model/element~Element} graveyardContent
+// @returns {module:engine/model/element~Element|null}
+function getElementByPath( document, { root, path }, graveyardContent ) {
+	let node = root == document.graveyard.rootName ? graveyardContent : document.getRoot( root );
+
+	for ( const offset of path ) {
+		node = node && node.is( 'element' ) ? node.getChild( node.offsetToIndex( offset ) ) : null;
+	}
+
+	return node && node.is( 'element' ) ? node : null;
+}
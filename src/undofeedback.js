@@ -0,0 +1,192 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module undo/undofeedback
+ */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import UndoEditing from './undoediting';
+import { replaceTemporaryMarkers } from './utils';
+import { scrollViewportToShowTarget } from '@ckeditor/ckeditor5-utils/src/dom/scroll';
+
+/* globals setTimeout, clearTimeout */
+
+// The default time (in milliseconds) for which the content changed by undo or redo is highlighted.
+const DEFAULT_HIGHLIGHT_DURATION = 1500;
+
+// The prefix of the names of the markers highlighting the content changed by undo or redo.
+const HIGHLIGHT_MARKER_PREFIX = 'undoHighlight';
+
+/**
+ * The undo feedback feature.
+ *
+ * It makes the undo and redo commands scroll the editing view to the content they changed and highlight it for a while,
+ * as configured by {@link module:undo/undo~UndoConfig#feedback `undo.feedback`}.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class UndoFeedback extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ UndoEditing ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'UndoFeedback';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor ) {
+		super( editor );
+
+		const feedback = editor.config.get( 'undo.feedback' );
+
+		/**
+		 * How the user is shown the content changed by undo and redo. It is set from the
+		 * {@link module:undo/undo~UndoConfig#feedback `undo.feedback`} configuration option.
+		 *
+		 * @private
+		 * @member {Object} #_feedback
+		 */
+		this._feedback = !feedback ? { scroll: false, highlight: false } : Object.assign( {
+			scroll: true,
+			highlight: true,
+			highlightDuration: DEFAULT_HIGHLIGHT_DURATION
+		}, feedback === true ? {} : feedback );
+
+		/**
+		 * The batch created by the last execution of the undo or redo command, which was not shown to the user yet.
+		 *
+		 * @private
+		 * @member {module:engine/model/batch~Batch|null} #_revertingBatch
+		 */
+		this._revertingBatch = null;
+
+		/**
+		 * The names of the markers highlighting the content changed by the last undo or redo.
+		 *
+		 * @private
+		 * @member {Array.<String>} #_highlightMarkers
+		 */
+		this._highlightMarkers = [];
+
+		/**
+		 * The timeout which removes the highlight of the content changed by the last undo or redo.
+		 *
+		 * @private
+		 * @member {Number|null} #_highlightTimeout
+		 */
+		this._highlightTimeout = null;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const editor = this.editor;
+
+		if ( !this._feedback.scroll && !this._feedback.highlight ) {
+			return;
+		}
+
+		editor.conversion.for( 'editingDowncast' ).markerToHighlight( {
+			model: HIGHLIGHT_MARKER_PREFIX,
+			view: { classes: 'ck-undo-highlight' }
+		} );
+
+		for ( const command of [ editor.commands.get( 'undo' ), editor.commands.get( 'redo' ) ] ) {
+			this.listenTo( command, 'revert', ( evt, batch, revertingBatch ) => {
+				this._revertingBatch = revertingBatch;
+			} );
+
+			// The changes are shown once the command was executed, so the editing view is already rendered.
+			this.listenTo( command, 'execute', () => {
+				const revertingBatch = this._revertingBatch;
+
+				this._revertingBatch = null;
+
+				if ( revertingBatch ) {
+					this._showChange( command._getChangedRanges( revertingBatch.operations ) );
+				}
+			}, { priority: 'low' } );
+		}
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	destroy() {
+		clearTimeout( this._highlightTimeout );
+
+		super.destroy();
+	}
+
+	/**
+	 * Scrolls the editing view to the first of given ranges and highlights them, replacing the previous highlight.
+	 *
+	 * @private
+	 * @param {Array.<module:engine/model/range~Range>} ranges The ranges of the changed content. The collapsed ones
+	 * mark the places from which the content was removed and are not highlighted.
+	 */
+	_showChange( ranges ) {
+		if ( this._feedback.scroll && ranges.length ) {
+			scrollToRange( this.editor.editing, ranges[ 0 ] );
+		}
+
+		if ( !this._feedback.highlight ) {
+			return;
+		}
+
+		clearTimeout( this._highlightTimeout );
+
+		this._setHighlight( ranges.filter( range => !range.isCollapsed ) );
+
+		if ( this._highlightMarkers.length ) {
+			this._highlightTimeout = setTimeout( () => this._setHighlight( [] ), this._feedback.highlightDuration );
+		}
+	}
+
+	/**
+	 * Replaces the markers highlighting the content changed by undo or redo. They do not affect the data
+	 * and are not added to the undo stack.
+	 *
+	 * @private
+	 * @param {Array.<module:engine/model/range~Range>} ranges
+	 */
+	_setHighlight( ranges ) {
+		this._highlightMarkers = replaceTemporaryMarkers( this.editor.model, HIGHLIGHT_MARKER_PREFIX, this._highlightMarkers, ranges );
+	}
+}
+
+// Scrolls the viewport so the content of given model range is visible. Nothing happens if the root of the range
+// is not attached to a DOM element.
+//
+// @param {module:engine/controller/editingcontroller~EditingController} editing
+// @param {module:engine/model/range~Range} range
+function scrollToRange( editing, range ) {
+	if ( !editing.view.getDomRoot( range.root.rootName ) ) {
+		return;
+	}
+
+	const domConverter = editing.view.domConverter;
+	const viewRange = editing.mapper.toViewRange( range );
+
+	if ( !domConverter.viewPositionToDom( viewRange.start ) || !domConverter.viewPositionToDom( viewRange.end ) ) {
+		return;
+	}
+
+	scrollViewportToShowTarget( {
+		target: domConverter.viewRangeToDom( viewRange ),
+		viewportOffset: 20
+	} );
+}
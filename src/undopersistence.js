@@ -0,0 +1,327 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module undo/undopersistence
+ */
+
+/* globals setInterval, clearInterval, console */
+
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import { attachLinkToDocumentation } from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+import UndoEditing from './undoediting';
+import UndoExport from './undoexport';
+import MemoryHistoryStorage from './memoryhistorystorage';
+
+// The version of the format of the saved history. Saved history in a different format is discarded.
+const FORMAT_VERSION = 1;
+
+const DEFAULT_SAVE_INTERVAL = 5000;
+
+// The storage used unless a different one is set. It is shared by all editors, so the history survives re-creating an editor.
+const defaultStorage = new MemoryHistoryStorage();
+
+/**
+ * The undo persistence feature.
+ *
+ * It saves the undo and redo history, {@link module:undo/undoexport~UndoExport#exportHistory exported} by the undo history export
+ * feature, to a {@link module:undo/undopersistence~UndoHistoryStorage storage} and restores it once the editor data is loaded.
+ * The history is saved periodically (when it has changed) and when the editor is destroyed. It is stored under the
+ * document ID defined in the {@link module:undo/undo~UndoConfig#persistence `config.undo.persistence`} option.
+ * The feature does nothing if the document ID is not set.
+ *
+ * Together with the history, a fingerprint of the document content is saved. If the data loaded into the editor
+ * does not match the saved fingerprint (for example, because the document was modified elsewhere), the saved history
+ * is discarded, as applying it to different content could corrupt the document.
+ *
+ * @extends module:core/plugin~Plugin
+ */
+export default class UndoPersistence extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ UndoEditing, UndoExport ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	static get pluginName() {
+		return 'UndoPersistence';
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor ) {
+		super( editor );
+
+		const config = editor.config.get( 'undo.persistence' ) || {};
+
+		/**
+		 * The ID under which the history is stored, or `null` if the persistence is disabled.
+		 *
+		 * @readonly
+		 * @member {String|null} #documentId
+		 */
+		this.documentId = config.documentId || null;
+
+		/**
+		 * The storage used to save the history. By default, it is a {@link module:undo/memoryhistorystorage~MemoryHistoryStorage
+		 * memory storage} shared by all editors.
+		 *
+		 * A custom storage should be set before the editor data is loaded, for example, in the `init()` method of a plugin:
+		 *
+		 *		class LocalStorageUndoHistory extends Plugin {
+		 *			static get requires() {
+		 *				return [ UndoPersistence ];
+		 *			}
+		 *
+		 *			init() {
+		 *				this.editor.plugins.get( UndoPersistence ).storage = localStorageHistoryStorage;
+		 *			}
+		 *		}
+		 *
+		 * @member {module:undo/undopersistence~UndoHistoryStorage} #storage
+		 */
+		this.storage = defaultStorage;
+
+		/**
+		 * The time (in milliseconds) between subsequent saves of the changed history.
+		 *
+		 * @private
+		 * @member {Number} #_saveInterval
+		 */
+		this._saveInterval = config.saveInterval || DEFAULT_SAVE_INTERVAL;
+
+		/**
+		 * Whether the history has changed since it was last saved or loaded.
+		 *
+		 * @private
+		 * @member {Boolean} #_isDirty
+		 */
+		this._isDirty = false;
+
+		/**
+		 * The promise of the pending {@link #load} call. Saving waits for it, so the stored history is not overwritten
+		 * before it is loaded.
+		 *
+		 * @private
+		 * @member {Promise} #_loading
+		 */
+		this._loading = Promise.resolve();
+
+		/**
+		 * The ID of the interval used to save the history periodically.
+		 *
+		 * @private
+		 * @member {Number|null} #_intervalId
+		 */
+		this._intervalId = null;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	init() {
+		const editor = this.editor;
+
+		if ( !this.documentId ) {
+			return;
+		}
+
+		const undoEditing = editor.plugins.get( UndoEditing );
+		const markDirty = () => {
+			this._isDirty = true;
+		};
+
+		this.listenTo( editor.model.document, 'change', markDirty );
+		this.listenTo( undoEditing._undoCommand, 'clear', markDirty );
+		this.listenTo( undoEditing._redoCommand, 'clear', markDirty );
+
+		this.listenTo( editor.data, 'ready', () => {
+			// Loading the data is not a change of the history.
+			this._isDirty = false;
+			this._loading = this.load();
+		} );
+
+		this._intervalId = setInterval( () => {
+			if ( this._isDirty ) {
+				this.save();
+			}
+		}, this._saveInterval );
+	}
+
+	/**
+	 * Saves the current undo and redo history to the storage.
+	 *
+	 * If the storage fails, a warning is logged and the history is saved again on the next periodic save.
+	 *
+	 * @returns {Promise.<Boolean>} A promise resolved with `true` if the history was saved. It is never rejected.
+	 */
+	save() {
+		if ( !this.documentId ) {
+			return Promise.resolve( false );
+		}
+
+		return this._loading
+			.then( () => {
+				const payload = {
+					version: FORMAT_VERSION,
+					fingerprint: getDocumentFingerprint( this.editor.model.document ),
+					history: this.editor.plugins.get( UndoExport ).exportHistory()
+				};
+
+				this._isDirty = false;
+
+				return this.storage.set( this.documentId, payload );
+			} )
+			.then( () => true, error => {
+				this._isDirty = true;
+
+				/**
+				 * The undo history could not be saved to the {@link module:undo/undopersistence~UndoPersistence#storage storage}.
+				 * The save is retried when the history is saved next time.
+				 *
+				 * @error undopersistence-save-failed
+				 * @param {*} error The error returned by the storage.
+				 */
+				console.warn( attachLinkToDocumentation( 'undopersistence-save-failed: The undo history could not be saved.' ), error );
+
+				return false;
+			} );
+	}
+
+	/**
+	 * Loads the undo and redo history from the storage. It is done automatically once the editor data is loaded.
+	 *
+	 * If the saved history was created in a different format or for a different document content, or it cannot be imported,
+	 * it is removed from the storage and the current history is kept. If the storage fails, a warning is logged
+	 * and the current history is kept, too.
+	 *
+	 * @returns {Promise.<Boolean>} A promise resolved with `true` if the history was restored. It is never rejected.
+	 */
+	load() {
+		if ( !this.documentId ) {
+			return Promise.resolve( false );
+		}
+
+		// The storage may also throw instead of returning a rejected promise. All its calls are made in promise callbacks,
+		// so such errors are handled the same way.
+		return Promise.resolve().then( () => this.storage.get( this.documentId ) ).then( payload => {
+			if ( !payload ) {
+				return false;
+			}
+
+			const document = this.editor.model.document;
+			const isValid = payload.version === FORMAT_VERSION && payload.fingerprint === getDocumentFingerprint( document );
+
+			if ( isValid ) {
+				try {
+					this.editor.plugins.get( UndoExport ).importHistory( payload.history );
+					this._isDirty = false;
+
+					return true;
+				} catch ( error ) {
+					// The history is broken. It is discarded below.
+				}
+			}
+
+			return this.storage.remove( this.documentId ).then( () => false );
+		} ).catch( error => {
+			/**
+			 * The undo history could not be loaded from the {@link module:undo/undopersistence~UndoPersistence#storage storage}.
+			 * The editor keeps the current history.
+			 *
+			 * @error undopersistence-load-failed
+			 * @param {*} error The error returned by the storage.
+			 */
+			console.warn( attachLinkToDocumentation( 'undopersistence-load-failed: The undo history could not be loaded.' ), error );
+
+			return false;
+		} );
+	}
+
+	/**
+	 * Stops saving the history periodically and saves it for the last time.
+	 *
+	 * @returns {Promise} A promise resolved once the history is saved. It is not rejected if the storage fails.
+	 */
+	destroy() {
+		clearInterval( this._intervalId );
+
+		super.destroy();
+
+		return this.save();
+	}
+}
+
+// Creates a hash of the content of all document roots. It is used to check whether the saved history
+// matches the document.
+//
+// @param {module:engine/model/document~Document} document
+// @returns {String}
+function getDocumentFingerprint( document ) {
+	const roots = document.getRootNames().map( rootName => {
+		const root = document.getRoot( rootName );
+
+		return {
+			rootName,
+			attributes: Array.from( root.getAttributes() ),
+			children: Array.from( root.getChildren() ).map( child => child.toJSON() )
+		};
+	} );
+
+	const json = JSON.stringify( roots );
+	let hash = 5381;
+
+	for ( let i = 0; i < json.length; i++ ) {
+		hash = ( ( hash << 5 ) + hash + json.charCodeAt( i ) ) | 0;
+	}
+
+	return ( hash >>> 0 ).toString( 16 ) + '-' + json.length;
+}
+
+/**
+ * The storage of the undo history, used by the {@link module:undo/undopersistence~UndoPersistence undo persistence feature}.
+ *
+ * All methods are asynchronous, so the storage can be backed by `localStorage`, IndexedDB or a remote service:
+ *
+ *		const localStorageHistoryStorage = {
+ *			get: key => Promise.resolve( JSON.parse( localStorage.getItem( key ) ) ),
+ *			set: ( key, value ) => Promise.resolve( localStorage.setItem( key, JSON.stringify( value ) ) ),
+ *			remove: key => Promise.resolve( localStorage.removeItem( key ) )
+ *		};
+ *
+ * See {@link module:undo/memoryhistorystorage~MemoryHistoryStorage} for the default implementation.
+ *
+ * @interface UndoHistoryStorage
+ */
+
+/**
+ * Returns the value stored under the given key.
+ *
+ * @method #get
+ * @param {String} key
+ * @returns {Promise.<Object|null>} A promise resolved with the stored value or `null` if there is none.
+ */
+
+/**
+ * Stores the value under the given key.
+ *
+ * @method #set
+ * @param {String} key
+ * @param {Object} value A JSON-serializable value.
+ * @returns {Promise}
+ */
+
+/**
+ * Removes the value stored under the given key.
+ *
+ * @method #remove
+ * @param {String} key
+ * @returns {Promise}
+ */
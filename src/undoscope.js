@@ -0,0 +1,388 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module undo/undoscope
+ */
+
+import BaseCommand from './basecommand';
+import History from '@ckeditor/ckeditor5-engine/src/model/history';
+import DocumentFragment from '@ckeditor/ckeditor5-engine/src/model/documentfragment';
+import Position from '@ckeditor/ckeditor5-engine/src/model/position';
+import Range from '@ckeditor/ckeditor5-engine/src/model/range';
+import Text from '@ckeditor/ckeditor5-engine/src/model/text';
+import MoveOperation from '@ckeditor/ckeditor5-engine/src/model/operation/moveoperation';
+import MergeOperation from '@ckeditor/ckeditor5-engine/src/model/operation/mergeoperation';
+import { _insert } from '@ckeditor/ckeditor5-engine/src/model/operation/utils';
+import ObservableMixin from '@ckeditor/ckeditor5-utils/src/observablemixin';
+import mix from '@ckeditor/ckeditor5-utils/src/mix';
+import { getOperationRoots } from './utils';
+
+/**
+ * An undo scope for the changes made in a detached tree, for example, a {@link module:engine/model/documentfragment~DocumentFragment
+ * document fragment} edited before it is inserted into the document. The undo feature ignores such changes, because they are
+ * not a part of the {@link module:engine/model/document~Document#history document history}.
+ *
+ * The scope records the operations applied to its tree and keeps its own undo and redo stacks. The stacks are handled
+ * and the steps are reverted the same way as by the {@link module:undo/undocommand~UndoCommand undo command}, so the
+ * {@link module:undo/basecommand~BaseCommand#stackSize stack size} and the {@link module:undo/basecommand~BaseCommand#memoryBudget
+ * memory budget} apply to the scope as well.
+ *
+ * The content removed from the tree is kept by the scope, so it can be restored.
+ *
+ * The scopes are created by {@link module:undo/undoediting~UndoEditing#createScope}.
+ *
+ * @mixes module:utils/observablemixin~ObservableMixin
+ */
+export default class UndoScope {
+	/**
+	 * Creates an undo scope.
+	 *
+	 * @param {module:core/editor/editor~Editor} editor The editor instance.
+	 * @param {module:engine/model/documentfragment~DocumentFragment|module:engine/model/element~Element} root The root
+	 * of the detached tree.
+	 */
+	constructor( editor, root ) {
+		/**
+		 * The editor model.
+		 *
+		 * @readonly
+		 * @member {module:engine/model/model~Model} #model
+		 */
+		this.model = editor.model;
+
+		/**
+		 * The root of the detached tree which changes are recorded by the scope.
+		 *
+		 * @readonly
+		 * @member {module:engine/model/documentfragment~DocumentFragment|module:engine/model/element~Element} #root
+		 */
+		this.root = root;
+
+		/**
+		 * Whether there are steps which can be undone.
+		 *
+		 * @observable
+		 * @readonly
+		 * @member {Boolean} #canUndo
+		 */
+		this.set( 'canUndo', false );
+
+		/**
+		 * Whether there are steps which can be redone.
+		 *
+		 * @observable
+		 * @readonly
+		 * @member {Boolean} #canRedo
+		 */
+		this.set( 'canRedo', false );
+
+		/**
+		 * The operations applied to the tree, in the order in which they were applied. The undone operations
+		 * are marked in it, too.
+		 *
+		 * @private
+		 * @member {module:engine/model/history~History} #_history
+		 */
+		this._history = new History();
+
+		/**
+		 * The operations recorded in the {@link #_history} for the operations applied to the tree. It is the operation itself,
+		 * except for the detach operations, which are recorded as moves to the {@link #_graveyard}.
+		 *
+		 * @private
+		 * @member {WeakMap.<module:engine/model/operation/operation~Operation,module:engine/model/operation/operation~Operation>}
+		 * #_recordedOperations
+		 */
+		this._recordedOperations = new WeakMap();
+
+		/**
+		 * Keeps the content removed from the tree, like the graveyard of the document.
+		 *
+		 * @private
+		 * @member {module:engine/model/documentfragment~DocumentFragment} #_graveyard
+		 */
+		this._graveyard = new DocumentFragment();
+
+		/**
+		 * The nodes detached from the tree by the detach operations which are being applied.
+		 *
+		 * @private
+		 * @member {Map.<module:engine/model/operation/detachoperation~DetachOperation,Array.<module:engine/model/node~Node>>}
+		 * #_detachedNodes
+		 */
+		this._detachedNodes = new Map();
+
+		/**
+		 * The batches which were already added to the undo stack.
+		 *
+		 * @private
+		 * @member {WeakSet.<module:engine/model/batch~Batch>} #_batchRegistry
+		 */
+		this._batchRegistry = new WeakSet();
+
+		/**
+		 * The command handling the undo stack of the scope.
+		 *
+		 * @private
+		 * @member {module:undo/undoscope~ScopeCommand} #_undoCommand
+		 */
+		this._undoCommand = new ScopeCommand( editor, this );
+
+		/**
+		 * The command handling the redo stack of the scope.
+		 *
+		 * @private
+		 * @member {module:undo/undoscope~ScopeCommand} #_redoCommand
+		 */
+		this._redoCommand = new ScopeCommand( editor, this );
+
+		this.bind( 'canUndo' ).to( this._undoCommand, 'isEnabled' );
+		this.bind( 'canRedo' ).to( this._redoCommand, 'isEnabled' );
+
+		this.listenTo( this._undoCommand, 'revert', ( evt, batch, revertingBatch ) => {
+			this._redoCommand.addBatch( revertingBatch );
+		} );
+
+		this.listenTo( this._redoCommand, 'revert', ( evt, batch, revertingBatch ) => {
+			this._undoCommand.addBatch( revertingBatch );
+		} );
+
+		// The operations are recorded before they are applied, while their positions are still valid.
+		this.listenTo( this.model, 'applyOperation', ( evt, args ) => {
+			const operation = args[ 0 ];
+
+			if ( operation.isDocumentOperation || !getOperationRoots( operation ).some( root => this._isScopeRoot( root ) ) ) {
+				return;
+			}
+
+			this._recordOperation( operation );
+
+			const batch = operation.batch;
+
+			// Like in the document, the transparent batches (including the batches created by the scope) are not undone.
+			if ( !batch || this._batchRegistry.has( batch ) || batch.type == 'transparent' ) {
+				return;
+			}
+
+			this._batchRegistry.add( batch );
+			this._undoCommand.addBatch( batch );
+			this._redoCommand.clearStack();
+		}, { priority: 'high' } );
+
+		this.listenTo( this.model, 'applyOperation', ( evt, args ) => {
+			const nodes = this._detachedNodes.get( args[ 0 ] );
+
+			if ( nodes ) {
+				this._detachedNodes.delete( args[ 0 ] );
+				_insert( new Position( this._graveyard, [ 0 ] ), nodes );
+			}
+		}, { priority: 'low' } );
+	}
+
+	/**
+	 * Undoes the last step recorded by the scope.
+	 */
+	undo() {
+		this._undoCommand.execute();
+	}
+
+	/**
+	 * Redoes the last step undone by the scope.
+	 */
+	redo() {
+		this._redoCommand.execute();
+	}
+
+	/**
+	 * Removes all steps from the undo and redo stacks of the scope.
+	 */
+	clear() {
+		this._undoCommand.clearStack();
+		this._redoCommand.clearStack();
+	}
+
+	/**
+	 * Stops recording the changes.
+	 */
+	destroy() {
+		this.stopListening();
+		this._undoCommand.destroy();
+		this._redoCommand.destroy();
+	}
+
+	/**
+	 * Records the operation in the {@link #_history}.
+	 *
+	 * The detached content could not be brought back by reversing the detach operation, because its reversal would need
+	 * the detached nodes. So, the operation is recorded as a move of the content to the {@link #_graveyard} and, once it is
+	 * applied, the detached nodes are put in the graveyard, like the move would do.
+	 *
+	 * @private
+	 * @param {module:engine/model/operation/operation~Operation} operation
+	 */
+	_recordOperation( operation ) {
+		let recordedOperation = operation;
+
+		if ( operation.type == 'detach' ) {
+			const range = Range._createFromPositionAndShift( operation.sourcePosition, operation.howMany );
+
+			// The text proxies are copied, because the text nodes are split when the content is detached.
+			const nodes = Array.from( range.getItems( { shallow: true } ), item => {
+				return item.is( 'textProxy' ) ? new Text( item.data, item.getAttributes() ) : item;
+			} );
+
+			recordedOperation = new MoveOperation(
+				operation.sourcePosition, operation.howMany, new Position( this._graveyard, [ 0 ] ), null
+			);
+
+			this._detachedNodes.set( operation, nodes );
+		}
+
+		this._recordedOperations.set( operation, recordedOperation );
+		this._history.addOperation( recordedOperation );
+	}
+
+	/**
+	 * Returns the operation which reverses given operation recorded in the {@link #_history}. The insert and split operations
+	 * are reversed by moving the content to the {@link #_graveyard}, instead of the graveyard of the document.
+	 *
+	 * @private
+	 * @param {module:engine/model/operation/operation~Operation} operation
+	 * @returns {module:engine/model/operation/operation~Operation}
+	 */
+	_reverseOperation( operation ) {
+		const graveyardPosition = new Position( this._graveyard, [ 0 ] );
+
+		switch ( operation.type ) {
+			case 'insert':
+				return new MoveOperation( operation.position, operation.nodes.maxOffset, graveyardPosition, null );
+			case 'split':
+				return new MergeOperation(
+					operation.moveTargetPosition, operation.howMany, operation.splitPosition, graveyardPosition, null
+				);
+			default:
+				return operation.getReversed();
+		}
+	}
+
+	/**
+	 * Checks whether the root is the root of the tree or the graveyard of the scope.
+	 *
+	 * @private
+	 * @param {module:engine/model/element~Element|module:engine/model/documentfragment~DocumentFragment} root
+	 * @returns {Boolean}
+	 */
+	_isScopeRoot( root ) {
+		return root == this.root || root == this._graveyard;
+	}
+}
+
+mix( UndoScope, ObservableMixin );
+
+/**
+ * The command handling the undo or redo stack of an {@link module:undo/undoscope~UndoScope undo scope}. It reverts the last step
+ * from the stack, using the operations recorded by the scope instead of the document history.
+ *
+ * The scope commands are not registered in the editor.
+ *
+ * @protected
+ * @extends module:undo/basecommand~BaseCommand
+ */
+class ScopeCommand extends BaseCommand {
+	/**
+	 * Creates a scope command.
+	 *
+	 * @param {module:core/editor/editor~Editor} editor The editor instance.
+	 * @param {module:undo/undoscope~UndoScope} scope The scope which owns the command.
+	 */
+	constructor( editor, scope ) {
+		super( editor );
+
+		/**
+		 * The scope which owns the command.
+		 *
+		 * @private
+		 * @member {module:undo/undoscope~UndoScope} #_scope
+		 */
+		this._scope = scope;
+	}
+
+	/**
+	 * Reverts the last step from the stack.
+	 *
+	 * @fires execute
+	 * @fires remove
+	 * @fires revert
+	 */
+	execute() {
+		const item = this._stack[ this._stack.length - 1 ];
+		const revertingBatch = this.editor.model.createBatch( 'transparent' );
+
+		this._removeItems( [ item ], 'execute' );
+
+		this.editor.model.enqueueChange( revertingBatch, () => {
+			this._undo( item.batch, revertingBatch );
+			this.fire( 'revert', item.batch, revertingBatch );
+		} );
+
+		this.refresh();
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	_getCurrentStack() {
+		return this._stack;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	_getHistory() {
+		return this._scope._history;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	_getOperationsToUndo( batch ) {
+		return batch.operations
+			.map( operation => this._scope._recordedOperations.get( operation ) )
+			.filter( operation => operation )
+			.reverse();
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	_getOperationsAfter( operation ) {
+		const operations = this._scope._history.getOperations();
+
+		return operations.slice( operations.indexOf( operation ) + 1 );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	_reverseOperation( operation ) {
+		return this._scope._reverseOperation( operation );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	_transformReversedOperation( operationToUndo, document, pendingOperations ) {
+		const operations = super._transformReversedOperation( operationToUndo, document, pendingOperations );
+
+		// The reversed operations get base versions, which would make them look like document operations.
+		for ( const operation of operations ) {
+			operation.baseVersion = null;
+			operation.isDocumentOperation = false;
+		}
+
+		return operations;
+	}
+}
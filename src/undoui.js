@@ -8,17 +8,65 @@
  */
 
 import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
-import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+import Model from '@ckeditor/ckeditor5-ui/src/model';
+import SplitButtonView from '@ckeditor/ckeditor5-ui/src/dropdown/button/splitbuttonview';
+import Collection from '@ckeditor/ckeditor5-utils/src/collection';
+import { createDropdown, addListToDropdown } from '@ckeditor/ckeditor5-ui/src/dropdown/utils';
+import UndoEditing from './undoediting';
+import UndoBranches from './undobranches';
+import UndoHistoryView from './ui/undohistoryview';
+import { replaceTemporaryMarkers } from './utils';
 
 import undoIcon from '../theme/icons/undo.svg';
 import redoIcon from '../theme/icons/redo.svg';
 
+// The maximum number of steps listed in the undo and redo history dropdowns.
+const HISTORY_LENGTH = 10;
+
+// The prefix of the names of the markers showing the content changed by a step or the content which reverting it would change.
+const PREVIEW_MARKER_PREFIX = 'undoPreview';
+
 /**
- * The undo UI feature. It introduces the `'undo'` and `'redo'` buttons to the editor.
+ * The undo UI feature. It introduces the `'undo'` and `'redo'` split buttons to the editor.
+ *
+ * The main part of each button executes the command once. While the user points at it, the content which executing
+ * the command would change is highlighted (see {@link module:undo/basecommand~BaseCommand#preview}). The arrow opens
+ * a dropdown listing the most recent steps stored by the command. Picking a step reverts it, together with all steps
+ * that happened after it, as one action.
+ *
+ * It also introduces the `'undoHistory'` dropdown with the {@link module:undo/ui/undohistoryview~UndoHistoryView history panel},
+ * which allows reverting any step from the undo stack without reverting the steps done after it. The content changed
+ * by a step is highlighted when the user points at the step.
+ *
+ * In the {@link module:undo/undo~UndoConfig#keepBranches undo tree mode}, the `'undoBranches'` dropdown lists the abandoned
+ * branches of the undo history and allows switching to them.
  *
  * @extends module:core/plugin~Plugin
  */
 export default class UndoUI extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	static get requires() {
+		return [ UndoEditing, UndoBranches ];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor ) {
+		super( editor );
+
+		/**
+		 * The names of the markers showing the content changed by the step pointed in the history panel or the content
+		 * which executing the pointed command would change.
+		 *
+		 * @private
+		 * @member {Array.<String>} #_previewMarkers
+		 */
+		this._previewMarkers = [];
+	}
+
 	/**
 	 * @inheritDoc
 	 */
@@ -30,41 +78,268 @@ export default class UndoUI extends Plugin {
 		const localizedUndoIcon = locale.uiLanguageDirection == 'ltr' ? undoIcon : redoIcon;
 		const localizedRedoIcon = locale.uiLanguageDirection == 'ltr' ? redoIcon : undoIcon;
 
-		this._addButton( 'undo', t( 'Undo' ), 'CTRL+Z', localizedUndoIcon );
-		this._addButton( 'redo', t( 'Redo' ), 'CTRL+Y', localizedRedoIcon );
+		const keystrokes = editor.plugins.get( UndoEditing ).keystrokes;
+
+		this._addButton( 'undo', t( 'Undo' ), keystrokes.undo[ 0 ], localizedUndoIcon, stepLabel => t( 'Undo: %0', [ stepLabel ] ) );
+		this._addButton( 'redo', t( 'Redo' ), keystrokes.redo[ 0 ], localizedRedoIcon, stepLabel => t( 'Redo: %0', [ stepLabel ] ) );
+		this._addHistoryPanel();
+		this._addBranchesDropdown();
+
+		editor.conversion.for( 'editingDowncast' ).markerToHighlight( {
+			model: PREVIEW_MARKER_PREFIX,
+			view: { classes: 'ck-undo-preview' }
+		} );
 	}
 
 	/**
-	 * Creates a button for the specified command.
+	 * Creates a split button with a history dropdown for the specified command.
 	 *
 	 * @private
 	 * @param {String} name Command name.
 	 * @param {String} label Button label.
-	 * @param {String} keystroke Command keystroke.
+	 * @param {String} [keystroke] Command keystroke. If not set, no keystroke is shown.
 	 * @param {String} Icon Source of the icon.
+	 * @param {Function} getStepTooltip A function returning the button tooltip for the label of the step that will be reverted.
 	 */
-	_addButton( name, label, keystroke, Icon ) {
+	_addButton( name, label, keystroke, Icon, getStepTooltip ) {
 		const editor = this.editor;
 
 		editor.ui.componentFactory.add( name, locale => {
 			const command = editor.commands.get( name );
-			const view = new ButtonView( locale );
+			const dropdownView = createDropdown( locale, SplitButtonView );
+			const itemDefinitions = new Collection();
 
-			view.set( {
+			dropdownView.buttonView.set( {
 				label,
 				icon: Icon,
 				keystroke,
 				tooltip: true
 			} );
 
-			view.bind( 'isEnabled' ).to( command, 'isEnabled' );
+			// Describe the step that will be reverted in the tooltip, for example "Undo: Typing (Ctrl+Z)".
+			// The label is used as it is, because changing the case of a translated text is not safe in all languages.
+			dropdownView.buttonView.bind( 'tooltip' ).to( command, 'stepLabel', stepLabel => {
+				if ( !stepLabel ) {
+					return true;
+				}
+
+				return ( label, keystroke ) => {
+					const tooltip = getStepTooltip( stepLabel );
+
+					return keystroke ? `${ tooltip } (${ keystroke })` : tooltip;
+				};
+			} );
+
+			dropdownView.bind( 'isEnabled' ).to( command, 'isEnabled' );
+
+			addListToDropdown( dropdownView, itemDefinitions );
+
+			// The list is filled each time the dropdown opens, so it always reflects the current state of the stack.
+			dropdownView.on( 'change:isOpen', ( evt, propertyName, isOpen ) => {
+				if ( isOpen ) {
+					this._fillHistoryList( itemDefinitions, command );
+				}
+			} );
+
+			// Highlight the content which executing the command would change while the user points at the button.
+			const actionView = dropdownView.buttonView.actionView;
+
+			actionView.extendTemplate( {
+				on: {
+					mouseenter: actionView.bindTemplate.to( () => {
+						const preview = command.preview();
+
+						this._showPreview( preview ? preview.ranges : [] );
+					} ),
+					mouseleave: actionView.bindTemplate.to( () => this._showPreview( [] ) )
+				}
+			} );
 
-			this.listenTo( view, 'execute', () => {
+			this.listenTo( dropdownView.buttonView, 'execute', () => {
+				this._showPreview( [] );
 				editor.execute( name );
 				editor.editing.view.focus();
 			} );
 
-			return view;
+			this.listenTo( dropdownView, 'execute', evt => {
+				editor.execute( name, evt.source.batches );
+				editor.editing.view.focus();
+			} );
+
+			return dropdownView;
+		} );
+	}
+
+	/**
+	 * Creates the `'undoHistory'` dropdown with the history panel.
+	 *
+	 * @private
+	 */
+	_addHistoryPanel() {
+		const editor = this.editor;
+		const t = editor.t;
+
+		editor.ui.componentFactory.add( 'undoHistory', locale => {
+			const command = editor.commands.get( 'undo' );
+			const dropdownView = createDropdown( locale );
+			const historyView = new UndoHistoryView( locale );
+
+			dropdownView.buttonView.set( {
+				label: t( 'History' ),
+				withText: true,
+				tooltip: true
+			} );
+
+			// All steps are listed, not only the ones which executing the command would revert where the selection is.
+			// The steps behind a barrier checkpoint cannot be undone, so they are omitted.
+			const getSteps = () => command._stack.slice( command._getBarrierIndex() + 1 );
+
+			// The command is disabled also when there are no steps where the selection is, so only the features
+			// which disabled it are taken into account.
+			const updateIsEnabled = () => {
+				dropdownView.isEnabled = !command._disableStack.size && getSteps().length > 0;
+			};
+
+			updateIsEnabled();
+
+			for ( const eventName of [ 'change:isEnabled', 'add', 'remove', 'clear' ] ) {
+				this.listenTo( command, eventName, updateIsEnabled );
+			}
+
+			dropdownView.panelView.children.add( historyView );
+
+			// The steps are listed each time the dropdown opens, starting from the newest one.
+			dropdownView.on( 'change:isOpen', ( evt, propertyName, isOpen ) => {
+				if ( isOpen ) {
+					const steps = getSteps();
+					const firstNumber = command._stack.length - steps.length + 1;
+
+					historyView.setSteps( steps.map( ( item, index ) => ( {
+						batch: item.batch,
+						label: item.label || t( 'Change %0', [ firstNumber + index ] )
+					} ) ).reverse() );
+				} else {
+					this._showPreview( [] );
+				}
+			} );
+
+			// The preview shows what reverting the step would change, like the preview of the undo button.
+			this.listenTo( historyView, 'preview', ( evt, batch ) => {
+				const preview = batch && command.preview( batch );
+
+				this._showPreview( preview ? preview.ranges : [] );
+			} );
+
+			this.listenTo( historyView, 'revert', ( evt, batch ) => {
+				this._showPreview( [] );
+
+				// The step is reverted even if it did not change the root or the editable in which the selection is.
+				command._revert( command._getItems( batch ) );
+
+				dropdownView.isOpen = false;
+				editor.editing.view.focus();
+			} );
+
+			return dropdownView;
+		} );
+	}
+
+	/**
+	 * Creates the `'undoBranches'` dropdown listing the abandoned branches of the undo history
+	 * (see {@link module:undo/undo~UndoConfig#keepBranches `undo.keepBranches`}). Picking a branch switches the document to it.
+	 *
+	 * @private
+	 */
+	_addBranchesDropdown() {
+		const editor = this.editor;
+		const t = editor.t;
+		const undoBranches = editor.plugins.get( UndoBranches );
+
+		editor.ui.componentFactory.add( 'undoBranches', locale => {
+			const dropdownView = createDropdown( locale );
+			const itemDefinitions = new Collection();
+
+			dropdownView.buttonView.set( {
+				label: t( 'Branches' ),
+				withText: true,
+				tooltip: true
+			} );
+
+			dropdownView.bind( 'isEnabled' ).to( undoBranches, 'branchCount', branchCount => branchCount > 0 );
+
+			addListToDropdown( dropdownView, itemDefinitions );
+
+			// The branches are listed each time the dropdown opens, starting from the most recently abandoned one.
+			// Each branch is labeled with the step which would be redone first after switching to it.
+			dropdownView.on( 'change:isOpen', ( evt, propertyName, isOpen ) => {
+				if ( !isOpen ) {
+					return;
+				}
+
+				itemDefinitions.clear();
+
+				undoBranches.getBranches().forEach( ( branch, index ) => {
+					const stepLabel = branch.steps[ branch.steps.length - 1 ].label;
+
+					itemDefinitions.add( {
+						type: 'button',
+						model: new Model( {
+							label: stepLabel ? t( 'Branch %0: %1', [ index + 1, stepLabel ] ) : t( 'Branch %0', [ index + 1 ] ),
+							withText: true,
+							isEnabled: undoBranches.canSwitchBranch( index ),
+							branchIndex: index
+						} )
+					}, 0 );
+				} );
+			} );
+
+			this.listenTo( dropdownView, 'execute', evt => {
+				undoBranches.switchBranch( evt.source.branchIndex );
+				editor.editing.view.focus();
+			} );
+
+			return dropdownView;
 		} );
 	}
+
+	/**
+	 * Marks given ranges with temporary markers, so the user can see what reverting a step will affect.
+	 * The previous preview is removed.
+	 *
+	 * @private
+	 * @param {Array.<module:engine/model/range~Range>} ranges The ranges to mark. Pass an empty array to remove the preview.
+	 */
+	_showPreview( ranges ) {
+		this._previewMarkers = replaceTemporaryMarkers( this.editor.model, PREVIEW_MARKER_PREFIX, this._previewMarkers, ranges );
+	}
+
+	/**
+	 * Fills the history dropdown list with the most recent steps which can be reverted by the command, starting from the newest one.
+	 *
+	 * Each entry is labeled with the label of the step and stores all batches that have to be reverted to get back
+	 * to the state before the step.
+	 *
+	 * @private
+	 * @param {module:utils/collection~Collection} itemDefinitions The collection of list item definitions.
+	 * @param {module:undo/basecommand~BaseCommand} command The command which stack is listed.
+	 */
+	_fillHistoryList( itemDefinitions, command ) {
+		const t = this.editor.t;
+		const stack = command._getCurrentStack();
+
+		itemDefinitions.clear();
+
+		for ( let i = 1; i <= Math.min( HISTORY_LENGTH, stack.length ); i++ ) {
+			const batches = stack.slice( stack.length - i ).map( item => item.batch );
+
+			itemDefinitions.add( {
+				type: 'button',
+				model: new Model( {
+					label: stack[ stack.length - i ].label || t( 'Step %0', [ i ] ),
+					withText: true,
+					batches
+				} )
+			} );
+		}
+	}
 }
@@ -0,0 +1,100 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module undo/utils
+ */
+
+/**
+ * Replaces the temporary markers, used by the undo feature to show some content to the user, with new markers
+ * marking given ranges. The markers are named `<prefix>:<index>`. They do not affect the data and are not added
+ * to the undo stack.
+ *
+ *		this._previewMarkers = replaceTemporaryMarkers( editor.model, 'undoPreview', this._previewMarkers, ranges );
+ *
+ * @param {module:engine/model/model~Model} model The editor model.
+ * @param {String} prefix The prefix of the marker names. It is the group of the markers.
+ * @param {Array.<String>} markerNames The names of the markers to remove.
+ * @param {Array.<module:engine/model/range~Range>} ranges The ranges to mark. Pass an empty array to only remove the markers.
+ * @returns {Array.<String>} The names of the new markers.
+ */
+export function replaceTemporaryMarkers( model, prefix, markerNames, ranges ) {
+	if ( !ranges.length && !markerNames.length ) {
+		return markerNames;
+	}
+
+	return model.change( writer => {
+		for ( const name of markerNames ) {
+			writer.removeMarker( name );
+		}
+
+		return ranges.map( ( range, index ) => {
+			const name = `${ prefix }:${ index }`;
+
+			writer.addMarker( name, { range, usingOperation: false, affectsData: false } );
+
+			return name;
+		} );
+	} );
+}
+
+/**
+ * Returns the roots of all positions and ranges of given operation. The roots of the detached trees are returned as well.
+ *
+ * @param {module:engine/model/operation/operation~Operation} operation
+ * @returns {Array.<module:engine/model/element~Element|module:engine/model/documentfragment~DocumentFragment>}
+ */
+export function getOperationRoots( operation ) {
+	const roots = getOperationPositions( operation ).map( position => position.root );
+
+	// Root attribute operations.
+	if ( operation.root ) {
+		roots.push( operation.root );
+	}
+
+	return roots;
+}
+
+/**
+ * Returns all positions of given operation, including the boundaries of its ranges.
+ *
+ * @param {module:engine/model/operation/operation~Operation} operation
+ * @returns {Array.<module:engine/model/position~Position>}
+ */
+export function getOperationPositions( operation ) {
+	const positions = [ 'position', 'sourcePosition', 'targetPosition', 'splitPosition', 'insertionPosition' ]
+		.filter( property => operation[ property ] )
+		.map( property => operation[ property ] );
+
+	for ( const property of [ 'range', 'oldRange', 'newRange' ] ) {
+		if ( operation[ property ] ) {
+			positions.push( operation[ property ].start, operation[ property ].end );
+		}
+	}
+
+	return positions;
+}
+
+/**
+ * Creates a read-only snapshot of an undo or redo stack item, as returned by
+ * {@link module:undo/undoediting~UndoEditing#getUndoStack}.
+ *
+ * @param {Object} item
+ * @returns {Object}
+ */
+export function createStepDescriptor( item ) {
+	return Object.freeze( {
+		batch: item.batch,
+		selection: Object.freeze( {
+			ranges: Object.freeze( item.selection.ranges.slice() ),
+			isBackward: item.selection.isBackward,
+			attributes: Object.freeze( item.selection.attributes.slice() ),
+			selectedElement: item.selection.selectedElement
+		} ),
+		timestamp: item.timestamp,
+		operationCount: [ item.batch, ...item.mergedBatches ].reduce( ( count, batch ) => count + batch.operations.length, 0 ),
+		label: item.label
+	} );
+}
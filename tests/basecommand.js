@@ -36,6 +36,377 @@ describe( 'BaseCommand', () => {
 		} );
 	} );
 
+	describe( 'stackSize', () => {
+		it( 'should not limit the stack by default', () => {
+			expect( base.stackSize ).to.equal( Number.POSITIVE_INFINITY );
+		} );
+
+		it( 'should be read from the `undo.stackSize` configuration option', () => {
+			const limitedEditor = new ModelTestEditor( { undo: { stackSize: 5 } } );
+			const limited = new BaseCommand( limitedEditor );
+
+			expect( limited.stackSize ).to.equal( 5 );
+
+			limited.destroy();
+		} );
+	} );
+
+	describe( 'memoryBudget', () => {
+		let root;
+
+		beforeEach( () => {
+			root = editor.model.document.getRoot();
+		} );
+
+		it( 'should not limit the memory by default', () => {
+			expect( base.memoryBudget ).to.equal( Number.POSITIVE_INFINITY );
+		} );
+
+		it( 'should be read from the `undo.memoryBudget` configuration option', () => {
+			const limitedEditor = new ModelTestEditor( { undo: { memoryBudget: 1000 } } );
+			const limited = new BaseCommand( limitedEditor );
+
+			expect( limited.memoryBudget ).to.equal( 1000 );
+
+			limited.destroy();
+		} );
+
+		it( 'should estimate the size of the operations and the inserted content', () => {
+			base.addBatch( insertText( 'x'.repeat( 100 ) ) );
+
+			const batch = editor.model.createBatch();
+
+			editor.model.enqueueChange( batch, writer => {
+				writer.insertElement( 'image', { src: 'y'.repeat( 100 ) }, root, 'end' );
+				writer.setAttribute( 'src', 'z'.repeat( 100 ), root.getChild( 1 ) );
+			} );
+
+			base.addBatch( batch );
+
+			// Text: 200 + 100 * 2. Element: 200 + 200 + ( 3 + 100 ) * 2. Attribute: 200 + ( 100 + 100 ) * 2.
+			expect( base.getMemoryStats().size ).to.equal( 400 + 606 + 600 );
+		} );
+
+		it( 'should include the operations added to a batch after it was estimated', () => {
+			const batch = insertText( 'foo' );
+
+			base.addBatch( batch );
+			expect( base.getMemoryStats().size ).to.equal( 206 );
+
+			editor.model.enqueueChange( batch, writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			expect( base.getMemoryStats().size ).to.equal( 412 );
+		} );
+
+		it( 'should remove the oldest items when the stack exceeds the memory budget', () => {
+			const batches = [ insertText( 'x'.repeat( 1000 ) ), insertText( 'x'.repeat( 1000 ) ), insertText( 'x'.repeat( 1000 ) ) ];
+			const spy = sinon.spy();
+
+			base.memoryBudget = 5000;
+			base.on( 'evict', spy );
+
+			for ( const batch of batches ) {
+				base.addBatch( batch );
+			}
+
+			expect( base._stack.map( item => item.batch ) ).to.deep.equal( [ batches[ 1 ], batches[ 2 ] ] );
+			sinon.assert.calledOnce( spy );
+
+			expect( base.getMemoryStats() ).to.deep.equal( {
+				size: 4400,
+				budget: 5000,
+				itemCount: 2,
+				compactions: 1,
+				evictedItems: 1,
+				freedSize: 2200
+			} );
+		} );
+
+		it( 'should remove the oldest items when the stored batches grow over the memory budget', () => {
+			const batches = [ insertText( 'x'.repeat( 1000 ) ), insertText( 'x'.repeat( 1000 ) ) ];
+
+			base.memoryBudget = 5000;
+
+			for ( const batch of batches ) {
+				base.addBatch( batch );
+			}
+
+			editor.model.enqueueChange( batches[ 1 ], writer => {
+				writer.insertText( 'x'.repeat( 1000 ), root, 'end' );
+			} );
+
+			expect( base._stack.map( item => item.batch ) ).to.deep.equal( [ batches[ 1 ] ] );
+			expect( base.getMemoryStats().evictedItems ).to.equal( 1 );
+		} );
+
+		it( 'should remove the oldest items when a merged batch exceeds the memory budget', () => {
+			const batches = [ insertText( 'x'.repeat( 1000 ) ), insertText( 'x'.repeat( 1000 ) ), insertText( 'x'.repeat( 1000 ) ) ];
+
+			base.memoryBudget = 5000;
+			base.addBatch( batches[ 0 ] );
+			base.addBatch( batches[ 1 ] );
+			base.mergeBatch( batches[ 2 ] );
+
+			expect( base._stack.map( item => item.batch ) ).to.deep.equal( [ batches[ 1 ] ] );
+			expect( base._stack[ 0 ].mergedBatches ).to.deep.equal( [ batches[ 2 ] ] );
+		} );
+
+		it( 'should keep the newest item even if it exceeds the memory budget', () => {
+			const batches = [ insertText( 'foo' ), insertText( 'bar' ) ];
+
+			base.memoryBudget = 100;
+
+			for ( const batch of batches ) {
+				base.addBatch( batch );
+			}
+
+			expect( base._stack.map( item => item.batch ) ).to.deep.equal( [ batches[ 1 ] ] );
+		} );
+
+		function insertText( text ) {
+			const batch = editor.model.createBatch();
+
+			editor.model.enqueueChange( batch, writer => {
+				writer.insertText( text, root, 'end' );
+			} );
+
+			return batch;
+		}
+	} );
+
+	describe( 'addBatch()', () => {
+		it( 'should remove the oldest items when the stack exceeds the stack size', () => {
+			const batches = [ editor.model.createBatch(), editor.model.createBatch(), editor.model.createBatch() ];
+
+			base.stackSize = 2;
+
+			for ( const batch of batches ) {
+				base.addBatch( batch );
+			}
+
+			expect( base._stack.map( item => item.batch ) ).to.deep.equal( [ batches[ 1 ], batches[ 2 ] ] );
+		} );
+
+		it( 'should fire the evict event with removed items', () => {
+			const spy = sinon.spy();
+			const batchA = editor.model.createBatch();
+			const batchB = editor.model.createBatch();
+
+			base.stackSize = 1;
+			base.on( 'evict', spy );
+
+			base.addBatch( batchA );
+			sinon.assert.notCalled( spy );
+
+			base.addBatch( batchB );
+			sinon.assert.calledOnce( spy );
+
+			const evictedItems = spy.firstCall.args[ 1 ];
+
+			expect( evictedItems ).to.have.length( 1 );
+			expect( evictedItems[ 0 ].batch ).to.equal( batchA );
+		} );
+	} );
+
+	describe( 'stack change events', () => {
+		it( 'should fire add event when a batch is added', () => {
+			const spy = sinon.spy();
+			const batch = editor.model.createBatch();
+
+			base.on( 'add', spy );
+			base.addBatch( batch );
+
+			sinon.assert.calledOnce( spy );
+
+			const items = spy.firstCall.args[ 1 ];
+
+			expect( items ).to.deep.equal( [ base._stack[ 0 ] ] );
+			expect( items[ 0 ].batch ).to.equal( batch );
+		} );
+
+		it( 'should fire add event after the command state is refreshed', () => {
+			base.on( 'add', () => {
+				expect( base.isEnabled ).to.be.true;
+			} );
+
+			base.addBatch( editor.model.createBatch() );
+		} );
+
+		it( 'should fire remove event when items are evicted', () => {
+			const spy = sinon.spy();
+
+			base.stackSize = 1;
+			base.addBatch( editor.model.createBatch() );
+
+			const item = base._stack[ 0 ];
+
+			base.on( 'remove', spy );
+			base.addBatch( editor.model.createBatch() );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.object, [ item ], 'evict' );
+		} );
+
+		it( 'should fire clear event with all removed items', () => {
+			const spy = sinon.spy();
+
+			base.addBatch( editor.model.createBatch() );
+			base.addBatch( editor.model.createBatch() );
+
+			const items = base._stack;
+
+			base.on( 'clear', spy );
+			base.clearStack();
+
+			sinon.assert.calledOnce( spy );
+			expect( spy.firstCall.args[ 1 ] ).to.deep.equal( items );
+		} );
+
+		it( 'should not fire clear event if the stack was empty', () => {
+			const spy = sinon.spy();
+
+			base.on( 'clear', spy );
+			base.clearStack();
+
+			sinon.assert.notCalled( spy );
+		} );
+	} );
+
+	describe( 'mergeBatch()', () => {
+		it( 'should merge the batch into the last step', () => {
+			const batchA = editor.model.createBatch();
+			const batchB = editor.model.createBatch();
+
+			base.addBatch( batchA );
+			base.mergeBatch( batchB );
+
+			expect( base._stack ).to.have.length( 1 );
+			expect( base._stack[ 0 ].batch ).to.equal( batchA );
+			expect( base._stack[ 0 ].mergedBatches ).to.deep.equal( [ batchB ] );
+			expect( base._getItems( batchB ) ).to.deep.equal( [ base._stack[ 0 ] ] );
+		} );
+
+		it( 'should add the batch if the stack is empty', () => {
+			const batch = editor.model.createBatch();
+
+			base.mergeBatch( batch );
+
+			expect( base._stack ).to.have.length( 1 );
+			expect( base._stack[ 0 ].batch ).to.equal( batch );
+		} );
+	} );
+
+	describe( 'splitBatch()', () => {
+		it( 'should move the merged batch to a new step', () => {
+			const batchA = editor.model.createBatch();
+			const batchB = editor.model.createBatch();
+
+			base.addBatch( batchA );
+			base.mergeBatch( batchB );
+			base.splitBatch( batchB );
+
+			expect( base._stack ).to.have.length( 2 );
+			expect( base._stack[ 0 ].mergedBatches ).to.be.empty;
+			expect( base._stack[ 1 ].batch ).to.equal( batchB );
+			expect( base._stack[ 1 ].selection.ranges ).to.be.empty;
+		} );
+
+		it( 'should do nothing if the batch is not merged into the last step', () => {
+			const batchA = editor.model.createBatch();
+			const batchB = editor.model.createBatch();
+
+			base.addBatch( batchA );
+			base.splitBatch( batchA );
+			base.splitBatch( batchB );
+
+			expect( base._stack ).to.have.length( 1 );
+		} );
+	} );
+
+	describe( '_getStepBatch()', () => {
+		it( 'should return the batch of a step without merged batches', () => {
+			const batch = editor.model.createBatch();
+
+			base.addBatch( batch );
+
+			expect( base._getStepBatch( base._stack[ 0 ] ) ).to.equal( batch );
+		} );
+
+		it( 'should return a batch with document operations of all step batches in the order they were applied', () => {
+			const model = editor.model;
+			const root = model.document.getRoot();
+			const batchA = model.createBatch();
+			const batchB = model.createBatch();
+
+			base.addBatch( batchA );
+			base.mergeBatch( batchB );
+
+			model.enqueueChange( batchA, writer => {
+				writer.insertText( 'foo', root );
+			} );
+
+			model.enqueueChange( batchB, writer => {
+				writer.insertText( 'bar', root );
+				writer.createElement( 'paragraph' );
+				writer.setAttribute( 'foo', 'bar', writer.createElement( 'paragraph' ) );
+			} );
+
+			model.enqueueChange( batchA, writer => {
+				writer.insertText( 'baz', root );
+			} );
+
+			const stepBatch = base._getStepBatch( base._stack[ 0 ] );
+
+			expect( stepBatch ).to.not.equal( batchA );
+			expect( stepBatch.operations.map( operation => operation.baseVersion ) ).to.deep.equal( [ 0, 1, 2 ] );
+			expect( stepBatch.operations[ 1 ] ).to.equal( batchB.operations[ 0 ] );
+		} );
+	} );
+
+	describe( 'setLabel()', () => {
+		it( 'should set the label of the item storing given batch', () => {
+			const batch = editor.model.createBatch();
+
+			base.addBatch( batch );
+			base.setLabel( batch, 'Typing' );
+
+			expect( base._stack[ 0 ].label ).to.equal( 'Typing' );
+		} );
+
+		it( 'should update the step label if the last item was labeled', () => {
+			const batchA = editor.model.createBatch();
+			const batchB = editor.model.createBatch();
+
+			base.addBatch( batchA );
+			base.addBatch( batchB );
+			base.setLabel( batchA, 'Typing' );
+
+			expect( base.stepLabel ).to.be.null;
+
+			base.setLabel( batchB, 'Delete' );
+
+			expect( base.stepLabel ).to.equal( 'Delete' );
+		} );
+	} );
+
+	describe( 'stepLabel', () => {
+		it( 'should be null if the stack is empty', () => {
+			expect( base.stepLabel ).to.be.null;
+		} );
+
+		it( 'should be reset when the stack is cleared', () => {
+			const batch = editor.model.createBatch();
+
+			base.addBatch( batch );
+			base.setLabel( batch, 'Typing' );
+			base.clearStack();
+
+			expect( base.stepLabel ).to.be.null;
+		} );
+	} );
+
 	describe( 'clearStack', () => {
 		it( 'should remove all batches from the stack', () => {
 			base.addBatch( editor.model.createBatch() );
@@ -43,5 +414,237 @@ describe( 'BaseCommand', () => {
 
 			expect( base.isEnabled ).to.be.false;
 		} );
+
+		it( 'should remove only the items which changed given roots', () => {
+			const otherRoot = editor.model.document.createRoot( '$root', 'other' );
+			const mainBatch = insertText( editor.model.document.getRoot() );
+			const otherBatch = insertText( otherRoot );
+			const clearSpy = sinon.spy();
+
+			base.addBatch( mainBatch );
+			base.addBatch( otherBatch );
+			base.on( 'clear', clearSpy );
+
+			base.clearStack( [ 'other' ] );
+
+			expect( base._stack.map( item => item.batch ) ).to.deep.equal( [ mainBatch ] );
+			sinon.assert.calledOnce( clearSpy );
+			expect( clearSpy.firstCall.args[ 1 ][ 0 ].batch ).to.equal( otherBatch );
+		} );
 	} );
+
+	describe( 'preview()', () => {
+		let root;
+
+		beforeEach( () => {
+			root = editor.model.document.getRoot();
+		} );
+
+		it( 'should return null if there is nothing to revert', () => {
+			expect( base.preview() ).to.be.null;
+			expect( base.preview( editor.model.createBatch() ) ).to.be.null;
+		} );
+
+		it( 'should describe reverting the last step without changing the document', () => {
+			const batch = insertText( root );
+
+			editor.model.enqueueChange( batch, writer => {
+				const range = writer.createRange( writer.createPositionAt( root, 0 ), writer.createPositionAt( root, 2 ) );
+
+				writer.setAttribute( 'bold', true, range );
+			} );
+
+			base.addBatch( batch );
+			insertText( root );
+
+			const version = editor.model.document.version;
+			const preview = base.preview();
+
+			expect( preview.status ).to.equal( 'full' );
+			expect( preview.summary ).to.deep.equal( { inserted: 0, removed: 3, moved: 0, attributes: [ 'bold' ] } );
+			expect( preview.ranges.map( range => [ range.start.path, range.end.path ] ) ).to.deep.equal( [
+				[ [ 3 ], [ 5 ] ],
+				[ [ 3 ], [ 6 ] ]
+			] );
+			expect( editor.model.document.version ).to.equal( version );
+			expect( base._stack ).to.have.length( 1 );
+		} );
+
+		it( 'should map the ranges of all reversed operations to the current document', () => {
+			const batch = insertText( root );
+
+			editor.model.enqueueChange( batch, writer => {
+				writer.insertText( 'bar', root, 0 );
+			} );
+
+			base.addBatch( batch );
+
+			const preview = base.preview( batch );
+
+			expect( preview.summary.removed ).to.equal( 6 );
+			expect( preview.ranges.map( range => [ range.start.path, range.end.path ] ) ).to.deep.equal( [
+				[ [ 0 ], [ 3 ] ],
+				[ [ 3 ], [ 6 ] ]
+			] );
+		} );
+
+		it( 'should count the content inserted back without returning its ranges', () => {
+			insertText( root );
+
+			const batch = editor.model.createBatch();
+
+			editor.model.enqueueChange( batch, writer => {
+				writer.remove( writer.createRange( writer.createPositionAt( root, 0 ), writer.createPositionAt( root, 2 ) ) );
+			} );
+
+			base.addBatch( batch );
+
+			const preview = base.preview( batch );
+
+			expect( preview.summary ).to.deep.equal( { inserted: 2, removed: 0, moved: 0, attributes: [] } );
+			expect( preview.ranges ).to.be.empty;
+		} );
+
+		it( 'should return the same status as executing the command', () => {
+			const batch = insertText( root );
+
+			base.addBatch( batch );
+
+			editor.model.change( writer => {
+				writer.remove( writer.createRange( writer.createPositionAt( root, 0 ), writer.createPositionAt( root, 1 ) ) );
+			} );
+
+			const preview = base.preview( batch );
+
+			expect( preview.status ).to.equal( 'partial' );
+			expect( preview.summary.removed ).to.equal( 2 );
+			expect( preview.ranges.map( range => [ range.start.path, range.end.path ] ) ).to.deep.equal( [ [ [ 0 ], [ 2 ] ] ] );
+		} );
+	} );
+
+	describe( '_getChangedRanges()', () => {
+		it( 'should return the ranges changed by the operations, transformed to the current document', () => {
+			const root = editor.model.document.getRoot();
+			const batch = insertText( root );
+
+			base.addBatch( batch );
+			insertText( root );
+
+			editor.model.enqueueChange( batch, writer => {
+				const range = writer.createRange( writer.createPositionAt( root, 0 ), writer.createPositionAt( root, 2 ) );
+
+				writer.setAttribute( 'bold', true, range );
+			} );
+
+			const ranges = base._getChangedRanges( batch.operations );
+
+			expect( ranges.map( range => [ range.start.path, range.end.path ] ) ).to.deep.equal( [
+				[ [ 3 ], [ 6 ] ],
+				[ [ 0 ], [ 2 ] ]
+			] );
+		} );
+
+		it( 'should return the places of the removed content as collapsed ranges', () => {
+			const root = editor.model.document.getRoot();
+			const batch = insertText( root );
+
+			editor.model.enqueueChange( batch, writer => {
+				writer.remove( writer.createRange( writer.createPositionAt( root, 0 ), writer.createPositionAt( root, 3 ) ) );
+			} );
+
+			const ranges = base._getChangedRanges( batch.operations );
+
+			expect( ranges.map( range => [ range.start.path, range.end.path ] ) ).to.deep.equal( [ [ [ 0 ], [ 0 ] ] ] );
+		} );
+	} );
+
+	describe( '_simulateUndo()', () => {
+		it( 'should return the status of undoing the batches without changing the document', () => {
+			const root = editor.model.document.getRoot();
+			const insertBatch = insertText( root );
+			const removeBatch = editor.model.createBatch();
+
+			editor.model.enqueueChange( removeBatch, writer => {
+				writer.remove( writer.createRange( writer.createPositionAt( root, 0 ), writer.createPositionAt( root, 2 ) ) );
+			} );
+
+			const version = editor.model.document.version;
+
+			expect( base._simulateUndo( [ insertBatch ] ).status ).to.equal( 'partial' );
+			expect( base._simulateUndo( [ removeBatch ] ).status ).to.equal( 'full' );
+			expect( base._simulateUndo( [ removeBatch, insertBatch ] ).status ).to.equal( 'full' );
+			expect( editor.model.document.version ).to.equal( version );
+			expect( root.childCount ).to.equal( 1 );
+		} );
+
+		it( 'should return the same status as undoing the batches', () => {
+			const root = editor.model.document.getRoot();
+			const insertBatch = insertText( root );
+
+			editor.model.change( writer => {
+				writer.remove( writer.createRange( writer.createPositionAt( root, 0 ), writer.createPositionAt( root, 3 ) ) );
+			} );
+
+			const simulatedStatus = base._simulateUndo( [ insertBatch ] ).status;
+
+			editor.model.enqueueChange( writer => {
+				expect( base._undo( insertBatch, writer.batch ) ).to.equal( simulatedStatus ).and.to.equal( 'impossible' );
+			} );
+		} );
+	} );
+
+	describe( 'per-root mode', () => {
+		let otherRoot, mainBatch, otherBatch;
+
+		beforeEach( () => {
+			base.destroy();
+
+			editor = new ModelTestEditor( { undo: { perRoot: true } } );
+			otherRoot = editor.model.document.createRoot( '$root', 'other' );
+			base = new BaseCommand( editor );
+
+			mainBatch = insertText( editor.model.document.getRoot() );
+			otherBatch = insertText( otherRoot );
+
+			base.addBatch( mainBatch );
+			base.addBatch( otherBatch );
+		} );
+
+		it( 'should be read from the `undo.perRoot` configuration option', () => {
+			expect( base.perRoot ).to.be.true;
+			expect( new BaseCommand( new ModelTestEditor() ).perRoot ).to.be.false;
+		} );
+
+		it( 'should return the items of the selection root as the current stack', () => {
+			expect( base._getCurrentStack().map( item => item.batch ) ).to.deep.equal( [ mainBatch ] );
+
+			editor.model.change( writer => {
+				writer.setSelection( otherRoot, 0 );
+			} );
+
+			expect( base._getCurrentStack().map( item => item.batch ) ).to.deep.equal( [ otherBatch ] );
+		} );
+
+		it( 'should omit the graveyard in the roots of an item', () => {
+			const removeBatch = editor.model.createBatch();
+
+			editor.model.enqueueChange( removeBatch, writer => {
+				writer.remove( otherRoot.getChild( 0 ) );
+			} );
+
+			base.addBatch( removeBatch );
+
+			expect( base._getItemRoots( base._stack[ 2 ] ) ).to.deep.equal( [ 'other' ] );
+		} );
+	} );
+
+	function insertText( root ) {
+		const batch = editor.model.createBatch();
+
+		editor.model.enqueueChange( batch, writer => {
+			writer.insertText( 'foo', root );
+		} );
+
+		return batch;
+	}
 } );
@@ -0,0 +1,169 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor';
+import { createDefaultLabelers } from '../src/labelers';
+
+describe( 'labelers', () => {
+	let editor, model, root, labelers, attributeLabels, elementLabels, contentInsertionBatches;
+
+	beforeEach( () => {
+		return ModelTestEditor.create().then( newEditor => {
+			editor = newEditor;
+			model = editor.model;
+			root = model.document.getRoot();
+
+			model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			model.schema.register( 'table', { allowIn: '$root', isObject: true } );
+			model.schema.extend( '$text', { allowAttributes: [ 'bold', 'italic' ] } );
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root );
+				writer.insertText( 'foobar', root.getChild( 0 ) );
+			} );
+
+			attributeLabels = new Map( [ [ 'bold', 'Bold' ] ] );
+			elementLabels = new Map( [ [ 'table', 'Insert table' ] ] );
+			contentInsertionBatches = new WeakSet();
+
+			labelers = createDefaultLabelers( editor.t, {
+				attributeLabels,
+				elementLabels,
+				isContentInsertion: batch => contentInsertionBatches.has( batch )
+			} );
+		} );
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	function getLabel( callback ) {
+		const batch = model.createBatch();
+
+		model.enqueueChange( batch, callback );
+
+		for ( const labeler of labelers ) {
+			const label = labeler( batch );
+
+			if ( label ) {
+				return label;
+			}
+		}
+	}
+
+	describe( 'createDefaultLabelers()', () => {
+		it( 'should label inserting text as typing', () => {
+			expect( getLabel( writer => {
+				writer.insertText( 'baz', root.getChild( 0 ), 'end' );
+			} ) ).to.equal( 'Typing' );
+		} );
+
+		it( 'should label splitting a block as typing', () => {
+			expect( getLabel( writer => {
+				writer.split( writer.createPositionAt( root.getChild( 0 ), 3 ) );
+			} ) ).to.equal( 'Typing' );
+		} );
+
+		it( 'should label removing content as delete', () => {
+			expect( getLabel( writer => {
+				const paragraph = root.getChild( 0 );
+
+				writer.remove( writer.createRange( writer.createPositionAt( paragraph, 0 ), writer.createPositionAt( paragraph, 3 ) ) );
+			} ) ).to.equal( 'Delete' );
+		} );
+
+		it( 'should label merging blocks as delete', () => {
+			model.change( writer => {
+				writer.insertElement( 'paragraph', root, 'end' );
+			} );
+
+			expect( getLabel( writer => {
+				writer.merge( writer.createPositionAt( root, 1 ) );
+			} ) ).to.equal( 'Delete' );
+		} );
+
+		it( 'should label setting a single attribute with the label of the attribute', () => {
+			expect( getLabel( writer => {
+				writer.setAttribute( 'bold', true, writer.createRangeIn( root.getChild( 0 ) ) );
+			} ) ).to.equal( 'Bold' );
+		} );
+
+		it( 'should label setting an attribute without a label as formatting', () => {
+			expect( getLabel( writer => {
+				writer.setAttribute( 'italic', true, writer.createRangeIn( root.getChild( 0 ) ) );
+			} ) ).to.equal( 'Formatting' );
+		} );
+
+		it( 'should label setting several attributes as formatting', () => {
+			expect( getLabel( writer => {
+				writer.setAttribute( 'bold', true, writer.createRangeIn( root.getChild( 0 ) ) );
+				writer.setAttribute( 'italic', true, writer.createRangeIn( root.getChild( 0 ) ) );
+			} ) ).to.equal( 'Formatting' );
+		} );
+
+		it( 'should label inserting a single element with the label of the element', () => {
+			expect( getLabel( writer => {
+				writer.insertElement( 'table', root, 'end' );
+			} ) ).to.equal( 'Insert table' );
+		} );
+
+		it( 'should label inserting elements without a label as insert', () => {
+			expect( getLabel( writer => {
+				writer.insertElement( 'paragraph', root, 'end' );
+			} ) ).to.equal( 'Insert' );
+
+			expect( getLabel( writer => {
+				writer.insertElement( 'table', root, 'end' );
+				writer.insertElement( 'table', root, 'end' );
+			} ) ).to.equal( 'Insert' );
+		} );
+
+		it( 'should label inserting the content as paste', () => {
+			expect( getLabel( writer => {
+				const fragment = writer.createDocumentFragment();
+
+				writer.insertElement( 'paragraph', fragment );
+				writer.insertElement( 'table', fragment, 'end' );
+
+				contentInsertionBatches.add( writer.batch );
+				model.insertContent( fragment, writer.createPositionAt( root, 'end' ) );
+			} ) ).to.equal( 'Paste' );
+		} );
+
+		it( 'should label inserting the text content as paste', () => {
+			expect( getLabel( writer => {
+				contentInsertionBatches.add( writer.batch );
+				writer.insertText( 'baz', root.getChild( 0 ), 'end' );
+			} ) ).to.equal( 'Paste' );
+		} );
+
+		it( 'should label inserting the content with a single element with the label of the element', () => {
+			expect( getLabel( writer => {
+				contentInsertionBatches.add( writer.batch );
+				writer.insertElement( 'table', root, 'end' );
+			} ) ).to.equal( 'Insert table' );
+		} );
+
+		it( 'should ignore marker operations', () => {
+			expect( getLabel( writer => {
+				writer.addMarker( 'foo', { range: writer.createRangeIn( root.getChild( 0 ) ), usingOperation: true } );
+				writer.insertText( 'baz', root.getChild( 0 ), 'end' );
+			} ) ).to.equal( 'Typing' );
+		} );
+
+		it( 'should not label moving content', () => {
+			expect( getLabel( writer => {
+				writer.move( writer.createRangeIn( root.getChild( 0 ) ), root, 'end' );
+			} ) ).to.be.undefined;
+		} );
+
+		it( 'should not label a batch without document operations', () => {
+			expect( getLabel( writer => {
+				writer.createElement( 'paragraph' );
+			} ) ).to.be.undefined;
+		} );
+	} );
+} );
@@ -0,0 +1,43 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import MemoryHistoryStorage from '../src/memoryhistorystorage';
+
+describe( 'MemoryHistoryStorage', () => {
+	let storage;
+
+	beforeEach( () => {
+		storage = new MemoryHistoryStorage();
+	} );
+
+	it( 'should resolve with null for a missing key', () => {
+		return storage.get( 'foo' ).then( value => {
+			expect( value ).to.be.null;
+		} );
+	} );
+
+	it( 'should store a copy of the value', () => {
+		const value = { foo: [ 1, 2 ] };
+
+		return storage.set( 'foo', value )
+			.then( () => {
+				value.foo.push( 3 );
+
+				return storage.get( 'foo' );
+			} )
+			.then( storedValue => {
+				expect( storedValue ).to.deep.equal( { foo: [ 1, 2 ] } );
+			} );
+	} );
+
+	it( 'should remove the value', () => {
+		return storage.set( 'foo', { foo: 1 } )
+			.then( () => storage.remove( 'foo' ) )
+			.then( () => storage.get( 'foo' ) )
+			.then( value => {
+				expect( value ).to.be.null;
+			} );
+	} );
+} );
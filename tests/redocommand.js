@@ -129,6 +129,45 @@ describe( 'RedoCommand', () => {
 				expect( editor.model.document.selection.isBackward ).to.be.false;
 			} );
 
+			it( 'should redo all given batches at once, if an array was passed', () => {
+				undo.execute();
+				undo.execute();
+				undo.execute();
+
+				const enqueueChangeSpy = sinon.spy( model, 'enqueueChange' );
+
+				redo.execute( redo._stack.slice( 1 ).map( item => item.batch ) );
+
+				// Should be like after applying `batch0` and `batch1`.
+				expect( getText( root ) ).to.equal( 'foobar' );
+				expect( itemAt( root, 2 ).getAttribute( 'key' ) ).to.equal( 'value' );
+				expect( itemAt( root, 3 ).getAttribute( 'key' ) ).to.equal( 'value' );
+				expect( itemAt( root, 4 ).hasAttribute( 'key' ) ).to.be.false;
+
+				// All changes are done by a single redoing batch.
+				const redoingBatch = enqueueChangeSpy.firstCall.args[ 0 ];
+
+				for ( const call of enqueueChangeSpy.getCalls() ) {
+					expect( call.args[ 0 ] ).to.equal( redoingBatch );
+				}
+
+				expect( redo._stack ).to.have.length( 1 );
+			} );
+
+			it( 'should fire remove event with redone items', () => {
+				const spy = sinon.spy();
+
+				undo.execute();
+
+				const item = redo._stack[ 0 ];
+
+				redo.on( 'remove', spy );
+				redo.execute();
+
+				sinon.assert.calledOnce( spy );
+				sinon.assert.calledWithExactly( spy, sinon.match.object, [ item ], 'execute' );
+			} );
+
 			it( 'should redo series of batches undone by undo command', () => {
 				undo.execute();
 				undo.execute();
@@ -271,6 +310,46 @@ describe( 'RedoCommand', () => {
 				expect( editor.model.document.selection.isBackward ).to.be.false;
 			} );
 
+			it( 'should fire outcome event with the status of the redo', () => {
+				const outcomeSpy = sinon.spy();
+
+				redo.on( 'outcome', outcomeSpy );
+				undo.execute( batch1 );
+
+				const undoingBatch = redo._stack[ 0 ].batch;
+
+				// Remove the content which had the attribute, so the redo has nothing to do.
+				model.change( writer => {
+					writer.remove( r( 0, 6 ) );
+				} );
+
+				redo.execute();
+
+				expect( outcomeSpy.firstCall.args[ 1 ] ).to.deep.equal( {
+					status: 'impossible',
+					batches: [ undoingBatch ],
+					isApplied: true
+				} );
+			} );
+
+			it( 'should not redo the steps which cannot be fully redone if partial reverts are refused', () => {
+				const outcomeSpy = sinon.spy();
+
+				redo.on( 'outcome', outcomeSpy );
+				redo.refusePartial = true;
+				undo.execute( batch1 );
+
+				model.change( writer => {
+					writer.remove( r( 0, 3 ) );
+				} );
+
+				redo.execute();
+
+				expect( outcomeSpy.firstCall.args[ 1 ] ).to.include( { status: 'partial', isApplied: false } );
+				expect( redo._stack ).to.have.length( 1 );
+				expect( itemAt( root, 0 ).hasAttribute( 'key' ) ).to.be.false;
+			} );
+
 			it( 'should pass redoing batch to enqueueChange method', () => {
 				undo.execute( batch2 );
 
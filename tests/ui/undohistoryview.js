@@ -0,0 +1,100 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document, Event */
+
+import UndoHistoryView from '../../src/ui/undohistoryview';
+import ListView from '@ckeditor/ckeditor5-ui/src/list/listview';
+import Batch from '@ckeditor/ckeditor5-engine/src/model/batch';
+
+describe( 'UndoHistoryView', () => {
+	let view, batchA, batchB;
+
+	beforeEach( () => {
+		view = new UndoHistoryView( { t: val => val } );
+		view.render();
+		document.body.appendChild( view.element );
+
+		batchA = new Batch();
+		batchB = new Batch();
+
+		view.setSteps( [ { batch: batchA, label: 'Typing' }, { batch: batchB, label: 'Delete' } ] );
+	} );
+
+	afterEach( () => {
+		view.element.remove();
+		view.destroy();
+	} );
+
+	describe( 'constructor()', () => {
+		it( 'should create element from template', () => {
+			expect( view.element.classList.contains( 'ck' ) ).to.be.true;
+			expect( view.element.classList.contains( 'ck-undo-history' ) ).to.be.true;
+			expect( view.listView ).to.be.instanceOf( ListView );
+		} );
+	} );
+
+	describe( 'setSteps()', () => {
+		it( 'should list the steps in the given order', () => {
+			const items = Array.from( view.listView.items );
+
+			expect( items.map( item => item.batch ) ).to.deep.equal( [ batchA, batchB ] );
+			expect( items[ 0 ].element.classList.contains( 'ck-undo-history__item' ) ).to.be.true;
+			expect( items[ 0 ].element.firstChild.textContent ).to.equal( 'Typing' );
+			expect( items[ 0 ].buttonView.label ).to.equal( 'Revert this change' );
+		} );
+
+		it( 'should replace the listed steps', () => {
+			view.setSteps( [ { batch: batchB, label: 'Delete' } ] );
+
+			expect( view.listView.items.length ).to.equal( 1 );
+			expect( view.listView.items.first.batch ).to.equal( batchB );
+		} );
+	} );
+
+	describe( 'events', () => {
+		it( 'should fire revert when the button of a step is executed', () => {
+			const spy = sinon.spy();
+
+			view.on( 'revert', spy );
+			view.listView.items.get( 1 ).buttonView.fire( 'execute' );
+
+			sinon.assert.calledOnce( spy );
+			expect( spy.firstCall.args[ 1 ] ).to.equal( batchB );
+		} );
+
+		it( 'should fire preview when a step is pointed and left', () => {
+			const spy = sinon.spy();
+			const itemElement = view.listView.items.first.element;
+
+			view.on( 'preview', spy );
+
+			itemElement.dispatchEvent( new Event( 'mouseenter' ) );
+			itemElement.dispatchEvent( new Event( 'mouseleave' ) );
+
+			expect( spy.firstCall.args[ 1 ] ).to.equal( batchA );
+			expect( spy.secondCall.args[ 1 ] ).to.be.null;
+		} );
+
+		it( 'should fire preview when the button of a step is focused', () => {
+			const spy = sinon.spy();
+
+			view.on( 'preview', spy );
+			view.listView.items.get( 1 ).buttonView.element.dispatchEvent( new Event( 'focusin', { bubbles: true } ) );
+
+			expect( spy.firstCall.args[ 1 ] ).to.equal( batchB );
+		} );
+	} );
+
+	describe( 'focus()', () => {
+		it( 'should focus the button of the first step', () => {
+			const spy = sinon.spy( view.listView.items.first.buttonView, 'focus' );
+
+			view.focus();
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+} );
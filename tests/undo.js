@@ -6,13 +6,16 @@
 import Undo from '../src/undo';
 import UndoEditing from '../src/undoediting';
 import UndoUI from '../src/undoui';
+import UndoBranches from '../src/undobranches';
+import UndoFeedback from '../src/undofeedback';
+import UndoExport from '../src/undoexport';
 
 describe( 'Undo', () => {
 	it( 'should be named', () => {
 		expect( Undo.pluginName ).to.equal( 'Undo' );
 	} );
 
-	it( 'should require UndoEditing and UndoUI', () => {
-		expect( Undo.requires ).to.deep.equal( [ UndoEditing, UndoUI ] );
+	it( 'should require UndoEditing, UndoUI, UndoBranches, UndoFeedback and UndoExport', () => {
+		expect( Undo.requires ).to.deep.equal( [ UndoEditing, UndoUI, UndoBranches, UndoFeedback, UndoExport ] );
 	} );
 } );
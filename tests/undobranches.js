@@ -0,0 +1,205 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor';
+import UndoEditing from '../src/undoediting';
+import UndoBranches from '../src/undobranches';
+import { expectToThrowCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils';
+import { getData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+
+describe( 'UndoBranches', () => {
+	let editor, undoBranches, model, root;
+
+	beforeEach( () => {
+		return createEditor( { keepBranches: true } ).then( () => {
+			insertText( 'foo' );
+			insertText( 'bar' );
+		} );
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	it( 'should be named', () => {
+		expect( UndoBranches.pluginName ).to.equal( 'UndoBranches' );
+	} );
+
+	it( 'should require UndoEditing', () => {
+		expect( UndoBranches.requires ).to.deep.equal( [ UndoEditing ] );
+	} );
+
+	it( 'should not keep the branches by default', () => {
+		return editor.destroy()
+			.then( () => createEditor( {} ) )
+			.then( () => {
+				insertText( 'foo' );
+				editor.execute( 'undo' );
+				insertText( 'bar' );
+
+				expect( undoBranches.keepBranches ).to.be.false;
+				expect( undoBranches.branchCount ).to.equal( 0 );
+			} );
+	} );
+
+	it( 'should keep the redo steps abandoned by new changes as a branch', () => {
+		editor.execute( 'undo' );
+		insertText( 'baz' );
+
+		expect( editor.commands.get( 'redo' )._stack ).to.be.empty;
+		expect( undoBranches.branchCount ).to.equal( 1 );
+
+		const branches = undoBranches.getBranches();
+
+		expect( branches ).to.have.length( 1 );
+		expect( branches[ 0 ].steps ).to.have.length( 1 );
+		expect( branches[ 0 ].timestamp ).to.be.a( 'number' );
+		expect( Object.isFrozen( branches[ 0 ] ) ).to.be.true;
+	} );
+
+	it( 'should not merge the changes starting a new branch into the previous step', () => {
+		editor.plugins.get( UndoEditing ).addBatchFilter( () => 'merge' );
+
+		editor.execute( 'undo' );
+		insertText( 'baz' );
+
+		expect( editor.commands.get( 'undo' )._stack ).to.have.length( 2 );
+	} );
+
+	it( 'should switch to the abandoned branch and keep the current one', () => {
+		editor.execute( 'undo' );
+		insertText( 'baz' );
+
+		expect( undoBranches.canSwitchBranch( 0 ) ).to.be.true;
+		expect( undoBranches.switchBranch( 0 ) ).to.be.true;
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foo' );
+		expect( undoBranches.branchCount ).to.equal( 1 );
+
+		editor.execute( 'redo' );
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foobar' );
+
+		undoBranches.switchBranch( 0 );
+		editor.execute( 'redo' );
+
+		expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foobaz' );
+	} );
+
+	it( 'should switch to the abandoned branch wherever the selection is', () => {
+		return editor.destroy()
+			.then( () => createEditor( { keepBranches: true, perRoot: true } ) )
+			.then( () => {
+				const sidebarRoot = model.document.createRoot( '$root', 'sidebar' );
+
+				insertText( 'foo' );
+				insertText( 'bar' );
+				editor.execute( 'undo' );
+				insertText( 'baz' );
+
+				model.change( writer => {
+					writer.setSelection( sidebarRoot, 0 );
+				} );
+
+				expect( editor.commands.get( 'undo' ).isEnabled ).to.be.false;
+				expect( undoBranches.switchBranch( 0 ) ).to.be.true;
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foo' );
+			} );
+	} );
+
+	it( 'should return false if the steps made since the branch forked were not undone', () => {
+		editor.execute( 'undo' );
+		insertText( 'baz' );
+
+		editor.commands.get( 'undo' ).forceDisabled( 'test' );
+
+		expect( undoBranches.switchBranch( 0 ) ).to.be.false;
+		expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foobaz' );
+		expect( undoBranches.branchCount ).to.equal( 1 );
+	} );
+
+	it( 'should throw if there is no branch with given index', () => {
+		expect( undoBranches.canSwitchBranch( 0 ) ).to.be.false;
+
+		expectToThrowCKEditorError( () => {
+			undoBranches.switchBranch( 0 );
+		}, /^undobranches-switchbranch-no-branch/, undoBranches );
+	} );
+
+	it( 'should throw if the step on which the branch forked was undone', () => {
+		editor.execute( 'undo' );
+		insertText( 'baz' );
+
+		editor.execute( 'undo' );
+		editor.execute( 'undo' );
+
+		expect( undoBranches.canSwitchBranch( 0 ) ).to.be.false;
+
+		expectToThrowCKEditorError( () => {
+			undoBranches.switchBranch( 0 );
+		}, /^undobranches-switchbranch-unreachable/, undoBranches );
+	} );
+
+	it( 'should remove the oldest branches if their steps exceed the stack size', () => {
+		return editor.destroy()
+			.then( () => createEditor( { keepBranches: true, stackSize: 3 } ) )
+			.then( () => {
+				insertText( 'a' );
+				insertText( 'b' );
+				insertText( 'c' );
+
+				editor.execute( 'undo' );
+				editor.execute( 'undo' );
+				insertText( 'd' );
+
+				editor.execute( 'undo' );
+				insertText( 'e' );
+
+				expect( undoBranches.getBranches().map( branch => branch.steps.length ) ).to.deep.equal( [ 2, 1 ] );
+
+				editor.execute( 'undo' );
+				insertText( 'f' );
+
+				expect( undoBranches.branchCount ).to.equal( 2 );
+				expect( undoBranches.getBranches().map( branch => branch.steps.length ) ).to.deep.equal( [ 1, 1 ] );
+			} );
+	} );
+
+	it( 'should remove the oldest branches if their steps exceed the memory budget', () => {
+		const redoCommand = editor.commands.get( 'redo' );
+
+		insertText( 'baz' );
+
+		redoCommand.memoryBudget = 250;
+		sinon.stub( redoCommand, '_getItemSize' ).returns( 100 );
+
+		editor.execute( 'undo' );
+		editor.execute( 'undo' );
+		insertText( 'qux' );
+
+		expect( undoBranches.branchCount ).to.equal( 1 );
+
+		editor.execute( 'undo' );
+		insertText( 'quux' );
+
+		expect( undoBranches.branchCount ).to.equal( 1 );
+		expect( undoBranches.getBranches()[ 0 ].steps ).to.have.length( 1 );
+	} );
+
+	function createEditor( undoConfig ) {
+		return ModelTestEditor.create( { plugins: [ UndoBranches ], undo: undoConfig } ).then( newEditor => {
+			editor = newEditor;
+			model = editor.model;
+			root = model.document.getRoot();
+			undoBranches = editor.plugins.get( UndoBranches );
+		} );
+	}
+
+	function insertText( text ) {
+		model.change( writer => {
+			writer.insertText( text, root, 'end' );
+		} );
+	}
+} );
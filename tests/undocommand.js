@@ -268,6 +268,68 @@ describe( 'UndoCommand', () => {
 				}
 			} );
 
+			it( 'should revert all given batches at once, if an array was passed', () => {
+				const revertSpy = sinon.spy();
+				const enqueueChangeSpy = sinon.spy( model, 'enqueueChange' );
+
+				undo.on( 'revert', revertSpy );
+				undo.execute( [ batch1, batch2, batch3 ] );
+
+				/*
+				 [root]
+				 - f
+				 - o
+				 - {o
+				 - b}
+				 - a
+				 - r
+				 */
+				expect( getText( root ) ).to.equal( 'foobar' );
+				expect( root.childCount ).to.equal( 1 );
+
+				for ( const item of model.createRangeIn( root ).getItems() ) {
+					expect( item.hasAttribute( 'key' ) ).to.be.false;
+				}
+
+				expect( editor.model.document.selection.getFirstRange().isEqual( r( 2, 4 ) ) ).to.be.true;
+				expect( editor.model.document.selection.isBackward ).to.be.true;
+
+				sinon.assert.calledThrice( revertSpy );
+
+				// All changes are done by a single undoing batch.
+				const undoingBatch = enqueueChangeSpy.firstCall.args[ 0 ];
+
+				for ( const call of enqueueChangeSpy.getCalls() ) {
+					expect( call.args[ 0 ] ).to.equal( undoingBatch );
+				}
+
+				for ( const call of revertSpy.getCalls() ) {
+					expect( call.args[ 2 ] ).to.equal( undoingBatch );
+				}
+
+				expect( undo._stack.map( item => item.batch ) ).to.deep.equal( [ batch0 ] );
+			} );
+
+			it( 'should fire remove event with undone items', () => {
+				const spy = sinon.spy();
+				const items = undo._stack.slice( 1, 3 );
+
+				undo.on( 'remove', spy );
+				undo.execute( [ batch1, batch2 ] );
+
+				sinon.assert.calledOnce( spy );
+				sinon.assert.calledWithExactly( spy, sinon.match.object, items, 'execute' );
+			} );
+
+			it( 'should do nothing if given batch is not stored in the stack', () => {
+				const enqueueChangeSpy = sinon.spy( model, 'enqueueChange' );
+
+				undo.execute( model.createBatch() );
+
+				sinon.assert.notCalled( enqueueChangeSpy );
+				expect( undo._stack ).to.have.length( 4 );
+			} );
+
 			it( 'should omit deltas with non-document operations', () => {
 				let element;
 
@@ -347,5 +409,186 @@ describe( 'UndoCommand', () => {
 			expect( getCaseText( root ) ).to.equal( 'adbcef' );
 			expect( editor.model.document.selection.getFirstRange().isEqual( r( 1, 4 ) ) ).to.be.true;
 		} );
+
+		describe( 'restoring selection', () => {
+			beforeEach( () => {
+				model.change( writer => {
+					writer.appendText( 'foobar', root );
+				} );
+			} );
+
+			it( 'should restore the attributes of a collapsed selection', () => {
+				model.change( writer => {
+					writer.setSelection( p( 3 ) );
+					writer.setSelectionAttribute( 'bold', true );
+				} );
+
+				const batch = model.createBatch();
+
+				undo.addBatch( batch );
+				model.enqueueChange( batch, writer => {
+					writer.remove( r( 0, 1 ) );
+					writer.setSelection( p( 5 ) );
+				} );
+
+				expect( doc.selection.hasAttribute( 'bold' ) ).to.be.false;
+
+				undo.execute();
+
+				expect( doc.selection.getFirstPosition().isEqual( p( 3 ) ) ).to.be.true;
+				expect( doc.selection.getAttribute( 'bold' ) ).to.be.true;
+			} );
+
+			it( 'should not take the attributes which were not stored from the surrounding content', () => {
+				model.change( writer => {
+					writer.setAttribute( 'italic', true, r( 0, 3 ) );
+					writer.setSelection( p( 3 ) );
+					writer.removeSelectionAttribute( 'italic' );
+				} );
+
+				const batch = model.createBatch();
+
+				undo.addBatch( batch );
+				model.enqueueChange( batch, writer => {
+					writer.insertText( 'x', p( 6 ) );
+				} );
+
+				undo.execute();
+
+				expect( doc.selection.hasAttribute( 'italic' ) ).to.be.false;
+			} );
+
+			it( 'should select the selected element again', () => {
+				let element;
+
+				model.change( writer => {
+					element = writer.createElement( 'widget' );
+					writer.insert( element, p( 3 ) );
+					writer.setSelection( element, 'on' );
+				} );
+
+				const batch = model.createBatch();
+
+				undo.addBatch( batch );
+				model.enqueueChange( batch, writer => {
+					writer.remove( element );
+					writer.insertText( 'x', p( 0 ) );
+				} );
+
+				undo.execute();
+
+				expect( doc.selection.getSelectedElement() ).to.equal( element );
+			} );
+		} );
+
+		describe( 'outcome', () => {
+			let outcomeSpy, insertBatch, boldBatch;
+
+			beforeEach( () => {
+				outcomeSpy = sinon.spy();
+				undo.on( 'outcome', outcomeSpy );
+
+				insertBatch = change( writer => writer.insertText( 'foobar', p( 0 ) ) );
+				boldBatch = change( writer => writer.setAttribute( 'bold', true, r( 0, 6 ) ) );
+			} );
+
+			function change( callback ) {
+				const batch = model.createBatch();
+
+				undo.addBatch( batch );
+				model.enqueueChange( batch, callback );
+
+				return batch;
+			}
+
+			it( 'should be full if all changes were reverted', () => {
+				undo.execute();
+
+				sinon.assert.calledOnce( outcomeSpy );
+				expect( outcomeSpy.firstCall.args[ 1 ] ).to.deep.equal( {
+					status: 'full',
+					batches: [ boldBatch ],
+					isApplied: true
+				} );
+			} );
+
+			it( 'should be full if the reverted content was only moved since', () => {
+				change( writer => writer.move( r( 3, 6 ), p( 0 ) ) );
+
+				undo.execute( boldBatch );
+
+				expect( outcomeSpy.firstCall.args[ 1 ].status ).to.equal( 'full' );
+				expect( getText( root ) ).to.equal( 'barfoo' );
+				expect( itemAt( root, 0 ).hasAttribute( 'bold' ) ).to.be.false;
+			} );
+
+			it( 'should be partial if a part of the reverted content was removed since', () => {
+				change( writer => writer.remove( r( 3, 6 ) ) );
+
+				undo.execute( boldBatch );
+
+				expect( outcomeSpy.firstCall.args[ 1 ].status ).to.equal( 'partial' );
+				expect( itemAt( root, 0 ).hasAttribute( 'bold' ) ).to.be.false;
+			} );
+
+			it( 'should be impossible if all reverted content was removed since', () => {
+				change( writer => writer.remove( r( 0, 6 ) ) );
+
+				undo.execute( insertBatch );
+
+				expect( outcomeSpy.firstCall.args[ 1 ] ).to.deep.equal( {
+					status: 'impossible',
+					batches: [ insertBatch ],
+					isApplied: true
+				} );
+			} );
+
+			it( 'should combine the statuses of all reverted batches', () => {
+				change( writer => writer.remove( r( 3, 6 ) ) );
+
+				undo.execute( [ insertBatch, boldBatch ] );
+
+				expect( outcomeSpy.firstCall.args[ 1 ].status ).to.equal( 'partial' );
+				expect( root.childCount ).to.equal( 0 );
+			} );
+
+			describe( 'refusePartial', () => {
+				beforeEach( () => {
+					undo.refusePartial = true;
+				} );
+
+				it( 'should be read from the `undo.refusePartial` configuration option', () => {
+					expect( new UndoCommand( editor ).refusePartial ).to.be.false;
+					expect( new UndoCommand( new ModelTestEditor( { undo: { refusePartial: true } } ) ).refusePartial ).to.be.true;
+				} );
+
+				it( 'should not revert the steps which cannot be fully reverted', () => {
+					change( writer => writer.remove( r( 3, 6 ) ) );
+
+					const version = doc.version;
+
+					undo.execute( boldBatch );
+
+					expect( doc.version ).to.equal( version );
+					expect( undo._getItems( boldBatch ) ).to.have.length( 1 );
+					expect( outcomeSpy.firstCall.args[ 1 ] ).to.deep.equal( {
+						status: 'partial',
+						batches: [ boldBatch ],
+						isApplied: false
+					} );
+				} );
+
+				it( 'should revert the steps which can be fully reverted', () => {
+					undo.execute( [ insertBatch, boldBatch ] );
+
+					expect( root.childCount ).to.equal( 0 );
+					expect( outcomeSpy.firstCall.args[ 1 ] ).to.deep.equal( {
+						status: 'full',
+						batches: [ insertBatch, boldBatch ],
+						isApplied: true
+					} );
+				} );
+			} );
+		} );
 	} );
 } );
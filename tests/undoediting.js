@@ -6,7 +6,12 @@
 import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor';
 
 import UndoEditing from '../src/undoediting';
+import UndoScope from '../src/undoscope';
+import DocumentFragment from '@ckeditor/ckeditor5-engine/src/model/documentfragment';
 import { keyCodes } from '@ckeditor/ckeditor5-utils/src/keyboard';
+import { expectToThrowCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils';
+import { setData, getData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+import OperationFactory from '@ckeditor/ckeditor5-engine/src/model/operation/operationfactory';
 
 describe( 'UndoEditing', () => {
 	let editor, undo, model, root;
@@ -82,6 +87,26 @@ describe( 'UndoEditing', () => {
 		expect( undo._redoCommand.clearStack.called ).to.be.false;
 	} );
 
+	it( 'should add an undoing batch to redo command only once if it reverted several batches', () => {
+		model.change( writer => {
+			writer.insertText( 'foo', root );
+		} );
+
+		model.change( writer => {
+			writer.insertText( 'bar', root );
+		} );
+
+		editor.execute( 'undo', undo._undoCommand._stack.map( item => item.batch ) );
+
+		expect( root.childCount ).to.equal( 0 );
+		expect( undo._redoCommand._stack ).to.have.length( 1 );
+
+		editor.execute( 'redo' );
+
+		expect( root.getChild( 0 ).data ).to.equal( 'barfoo' );
+		expect( undo._undoCommand._stack ).to.have.length( 1 );
+	} );
+
 	it( 'should add redo batch to undo', () => {
 		sinon.spy( undo._undoCommand, 'addBatch' );
 
@@ -138,48 +163,1580 @@ describe( 'UndoEditing', () => {
 		expect( undo._undoCommand.addBatch.calledOnce ).to.be.true;
 	} );
 
-	it( 'should set CTRL+Z keystroke', () => {
-		const spy = sinon.stub( editor, 'execute' );
+	it( 'should limit both stacks to the `undo.stackSize` configuration option', () => {
+		const limitedEditor = new ModelTestEditor( { undo: { stackSize: 2 } } );
+		const limitedUndo = new UndoEditing( limitedEditor );
+		const limitedRoot = limitedEditor.model.document.getRoot();
 
-		const wasHandled = editor.keystrokes.press( {
-			keyCode: keyCodes.z,
-			ctrlKey: true,
-			preventDefault: sinon.spy(),
-			stopPropagation: sinon.spy()
+		limitedUndo.init();
+
+		for ( const text of [ 'foo', 'bar', 'baz' ] ) {
+			limitedEditor.model.change( writer => {
+				writer.insertText( text, limitedRoot, 'end' );
+			} );
+		}
+
+		expect( limitedUndo._undoCommand._stack ).to.have.length( 2 );
+
+		limitedEditor.execute( 'undo' );
+		limitedEditor.execute( 'undo' );
+
+		expect( limitedUndo._undoCommand.isEnabled ).to.be.false;
+		expect( limitedUndo._redoCommand._stack ).to.have.length( 2 );
+		expect( limitedRoot.getChild( 0 ).data ).to.equal( 'foo' );
+
+		limitedUndo.destroy();
+	} );
+
+	it( 'should fire stack change events on both commands when a new change clears the redo stack', () => {
+		const undoAddSpy = sinon.spy();
+		const redoClearSpy = sinon.spy();
+
+		model.change( writer => {
+			writer.insertText( 'foo', root );
 		} );
 
-		expect( wasHandled ).to.be.true;
-		expect( spy.calledWithExactly( 'undo' ) ).to.be.true;
+		editor.execute( 'undo' );
+
+		const redoItem = undo._redoCommand._stack[ 0 ];
+
+		undo._undoCommand.on( 'add', undoAddSpy );
+		undo._redoCommand.on( 'clear', redoClearSpy );
+
+		model.change( writer => {
+			writer.insertText( 'bar', root );
+		} );
+
+		sinon.assert.calledOnce( undoAddSpy );
+		sinon.assert.calledOnce( redoClearSpy );
+		expect( redoClearSpy.firstCall.args[ 1 ] ).to.deep.equal( [ redoItem ] );
 	} );
 
-	it( 'should set CTRL+Y keystroke', () => {
-		const spy = sinon.stub( editor, 'execute' );
+	describe( 'coalescing', () => {
+		let coalescingEditor, coalescingUndo, coalescingRoot, clock;
 
-		const wasHandled = editor.keystrokes.press( {
-			keyCode: keyCodes.y,
-			ctrlKey: true,
-			preventDefault: sinon.spy(),
-			stopPropagation: sinon.spy()
+		function createEditor( coalescing ) {
+			coalescingEditor = new ModelTestEditor( { undo: { coalescing } } );
+			coalescingRoot = coalescingEditor.model.document.getRoot();
+			coalescingUndo = new UndoEditing( coalescingEditor );
+			coalescingUndo.init();
+		}
+
+		function insert( text ) {
+			coalescingEditor.model.change( writer => {
+				writer.insertText( text, coalescingRoot, 'end' );
+			} );
+		}
+
+		beforeEach( () => {
+			clock = sinon.useFakeTimers( { now: 10000 } );
 		} );
 
-		expect( wasHandled ).to.be.true;
-		expect( spy.calledWithExactly( 'redo' ) ).to.be.true;
+		afterEach( () => {
+			clock.restore();
+			coalescingUndo.destroy();
+		} );
+
+		it( 'should not coalesce batches by default', () => {
+			createEditor();
+
+			insert( 'foo' );
+			insert( 'bar' );
+
+			expect( coalescingUndo._undoCommand._stack ).to.have.length( 2 );
+		} );
+
+		it( 'should merge batches coming within the idle time into one step', () => {
+			createEditor( { idleTime: 500 } );
+
+			insert( 'foo' );
+			clock.tick( 500 );
+			insert( 'bar' );
+			clock.tick( 501 );
+			insert( 'baz' );
+
+			const stack = coalescingUndo._undoCommand._stack;
+
+			expect( stack ).to.have.length( 2 );
+			expect( stack[ 0 ].mergedBatches ).to.have.length( 1 );
+
+			coalescingEditor.execute( 'undo' );
+			expect( coalescingRoot.getChild( 0 ).data ).to.equal( 'foobar' );
+
+			coalescingEditor.execute( 'undo' );
+			expect( coalescingRoot.childCount ).to.equal( 0 );
+
+			coalescingEditor.execute( 'redo' );
+			expect( coalescingRoot.getChild( 0 ).data ).to.equal( 'foobar' );
+		} );
+
+		it( 'should use the default idle time if it is not configured', () => {
+			createEditor( {} );
+
+			insert( 'foo' );
+			clock.tick( 1000 );
+			insert( 'bar' );
+			clock.tick( 1001 );
+			insert( 'baz' );
+
+			expect( coalescingUndo._undoCommand._stack ).to.have.length( 2 );
+		} );
+
+		it( 'should count the idle time from the last operation of the previous batch', () => {
+			createEditor( { idleTime: 500 } );
+
+			const batch = coalescingEditor.model.createBatch();
+
+			coalescingEditor.model.enqueueChange( batch, writer => {
+				writer.insertText( 'foo', coalescingRoot );
+			} );
+
+			clock.tick( 400 );
+
+			coalescingEditor.model.enqueueChange( batch, writer => {
+				writer.insertText( 'bar', coalescingRoot, 'end' );
+			} );
+
+			clock.tick( 400 );
+			insert( 'baz' );
+
+			expect( coalescingUndo._undoCommand._stack ).to.have.length( 1 );
+		} );
+
+		it( 'should merge only batches accepted by the predicate', () => {
+			const predicate = sinon.stub().callsFake( batch => batch.operations[ 0 ].nodes.getNode( 0 ).data != 'baz' );
+
+			createEditor( { predicate } );
+
+			insert( 'foo' );
+			const firstBatch = coalescingUndo._undoCommand._stack[ 0 ].batch;
+
+			insert( 'bar' );
+			insert( 'baz' );
+
+			expect( coalescingUndo._undoCommand._stack ).to.have.length( 2 );
+			expect( predicate.firstCall.args[ 1 ] ).to.equal( firstBatch );
+		} );
+
+		it( 'should not merge a batch into a step after undo', () => {
+			createEditor( {} );
+
+			insert( 'foo' );
+			insert( 'bar' );
+			coalescingEditor.execute( 'undo' );
+			insert( 'baz' );
+
+			expect( coalescingUndo._undoCommand._stack ).to.have.length( 1 );
+		} );
+
+		it( 'should label the merged step using all its operations', () => {
+			createEditor( { idleTime: 500 } );
+
+			insert( 'foo' );
+			clock.tick( 501 );
+
+			coalescingEditor.model.change( writer => {
+				writer.remove( writer.createRangeIn( coalescingRoot ) );
+			} );
+
+			expect( coalescingUndo._undoCommand.stepLabel ).to.equal( 'Delete' );
+
+			insert( 'bar' );
+
+			expect( coalescingUndo._undoCommand.stepLabel ).to.equal( 'Typing' );
+			expect( coalescingUndo.getUndoStack()[ 1 ].operationCount ).to.equal( 2 );
+		} );
 	} );
 
-	it( 'should set CTRL+SHIFT+Z keystroke', () => {
-		const spy = sinon.stub( editor, 'execute' );
-		const keyEventData = {
-			keyCode: keyCodes.z,
-			ctrlKey: true,
-			shiftKey: true,
-			preventDefault: sinon.spy(),
-			stopPropagation: sinon.spy()
-		};
+	describe( 'groups', () => {
+		function insert( text ) {
+			model.change( writer => {
+				writer.insertText( text, root, 'end' );
+			} );
+		}
 
-		const wasHandled = editor.keystrokes.press( keyEventData );
+		it( 'should merge all batches between startGroup() and endGroup() into one step', () => {
+			insert( 'foo' );
 
-		expect( wasHandled ).to.be.true;
-		expect( spy.calledWithExactly( 'redo' ) ).to.be.true;
-		expect( keyEventData.preventDefault.calledOnce ).to.be.true;
+			undo.startGroup();
+			insert( 'bar' );
+			insert( 'baz' );
+			undo.endGroup();
+
+			insert( 'qux' );
+
+			expect( undo._undoCommand._stack ).to.have.length( 3 );
+
+			editor.execute( 'undo' );
+			editor.execute( 'undo' );
+
+			expect( root.getChild( 0 ).data ).to.equal( 'foo' );
+
+			editor.execute( 'redo' );
+
+			expect( root.getChild( 0 ).data ).to.equal( 'foobarbaz' );
+		} );
+
+		it( 'should not merge the first batch of a group with the previous step', () => {
+			insert( 'foo' );
+
+			undo.startGroup();
+			insert( 'bar' );
+			undo.endGroup();
+
+			expect( undo._undoCommand._stack ).to.have.length( 2 );
+		} );
+
+		it( 'should register each grouped batch only once', () => {
+			const batch = model.createBatch();
+
+			sinon.spy( undo._undoCommand, 'mergeBatch' );
+
+			undo.startGroup();
+			insert( 'foo' );
+
+			model.enqueueChange( batch, writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			model.enqueueChange( batch, writer => {
+				writer.insertText( 'baz', root, 'end' );
+			} );
+
+			undo.endGroup();
+
+			sinon.assert.calledOnce( undo._undoCommand.mergeBatch );
+		} );
+
+		it( 'should close the step when the outermost group is closed', () => {
+			undo.startGroup();
+			insert( 'foo' );
+			undo.startGroup();
+			insert( 'bar' );
+			undo.endGroup();
+			insert( 'baz' );
+			undo.endGroup();
+
+			insert( 'qux' );
+
+			expect( undo._undoCommand._stack ).to.have.length( 2 );
+		} );
+
+		it( 'should start a new step if the group step was undone', () => {
+			undo.startGroup();
+			insert( 'foo' );
+			editor.execute( 'undo' );
+			insert( 'bar' );
+			insert( 'baz' );
+			undo.endGroup();
+
+			expect( undo._undoCommand._stack ).to.have.length( 1 );
+
+			editor.execute( 'undo' );
+
+			expect( root.childCount ).to.equal( 0 );
+		} );
+
+		it( 'should throw when closing a group which was not opened', () => {
+			expectToThrowCKEditorError( () => {
+				undo.endGroup();
+			}, /^undoediting-endgroup-no-group/, undo );
+		} );
+
+		describe( 'group()', () => {
+			it( 'should merge batches created by the callback and return its result', () => {
+				const result = undo.group( () => {
+					insert( 'foo' );
+					insert( 'bar' );
+
+					return 'result';
+				} );
+
+				insert( 'baz' );
+
+				expect( result ).to.equal( 'result' );
+				expect( undo._undoCommand._stack ).to.have.length( 2 );
+			} );
+
+			it( 'should close the group if the callback throws', () => {
+				expect( () => {
+					undo.group( () => {
+						throw new Error( 'foo' );
+					} );
+				} ).to.throw( 'foo' );
+
+				expect( undo._group ).to.be.null;
+			} );
+
+			it( 'should close the group when the returned promise is resolved', () => {
+				let resolve;
+
+				const promise = undo.group( () => {
+					insert( 'foo' );
+
+					return new Promise( res => {
+						resolve = res;
+					} );
+				} );
+
+				insert( 'bar' );
+				resolve( 'result' );
+
+				return promise.then( result => {
+					insert( 'baz' );
+
+					expect( result ).to.equal( 'result' );
+					expect( undo._undoCommand._stack ).to.have.length( 2 );
+				} );
+			} );
+
+			it( 'should close the group when the returned promise is rejected', () => {
+				const promise = undo.group( () => Promise.reject( new Error( 'foo' ) ) );
+
+				return promise.then( () => {
+					throw new Error( 'Expected to be rejected.' );
+				}, error => {
+					expect( error.message ).to.equal( 'foo' );
+					expect( undo._group ).to.be.null;
+				} );
+			} );
+		} );
+	} );
+
+	describe( 'abandoned steps', () => {
+		let spy;
+
+		beforeEach( () => {
+			spy = sinon.spy();
+			undo.on( 'abandon', spy );
+
+			model.change( writer => {
+				writer.insertText( 'foo', root );
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			editor.execute( 'undo' );
+		} );
+
+		it( 'should not keep the abandoned steps by default', () => {
+			model.change( writer => {
+				writer.insertText( 'baz', root, 'end' );
+			} );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should fire the abandon event once the kept redo steps are cleared', () => {
+			const redoItem = undo._redoCommand._stack[ 0 ];
+			const forkItem = undo._undoCommand._stack[ 0 ];
+
+			let redoStackLength;
+
+			undo._keepAbandonedSteps = true;
+
+			undo.on( 'abandon', () => {
+				redoStackLength = undo._redoCommand._stack.length;
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'baz', root, 'end' );
+			} );
+
+			sinon.assert.calledOnce( spy );
+			expect( spy.firstCall.args[ 1 ] ).to.deep.equal( { items: [ redoItem ], forkItem } );
+			expect( redoStackLength ).to.equal( 0 );
+		} );
+	} );
+
+	describe( 'stack inspection', () => {
+		beforeEach( () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root );
+				writer.setSelection( root, 'end' );
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+				writer.insertText( 'baz', root, 'end' );
+			} );
+		} );
+
+		describe( 'getUndoStack()', () => {
+			it( 'should describe the steps in the undo stack starting from the oldest one', () => {
+				const stack = undo.getUndoStack();
+				const items = undo._undoCommand._stack;
+
+				expect( stack ).to.have.length( 2 );
+
+				expect( stack[ 0 ].batch ).to.equal( items[ 0 ].batch );
+				expect( stack[ 0 ].operationCount ).to.equal( 1 );
+				expect( stack[ 0 ].label ).to.equal( 'Typing' );
+				expect( stack[ 0 ].timestamp ).to.equal( items[ 0 ].timestamp );
+				expect( stack[ 0 ].selection.ranges ).to.be.empty;
+				expect( stack[ 0 ].selection.isBackward ).to.be.false;
+
+				expect( stack[ 1 ].batch ).to.equal( items[ 1 ].batch );
+				expect( stack[ 1 ].operationCount ).to.equal( 2 );
+				expect( stack[ 1 ].selection.ranges ).to.have.length( 1 );
+				expect( stack[ 1 ].selection.ranges[ 0 ].start.offset ).to.equal( 3 );
+			} );
+
+			it( 'should store the time when the step was added', () => {
+				const clock = sinon.useFakeTimers( { now: 1000 } );
+
+				model.change( writer => {
+					writer.insertText( 'qux', root, 'end' );
+				} );
+
+				clock.restore();
+
+				expect( undo.getUndoStack()[ 2 ].timestamp ).to.equal( 1000 );
+			} );
+
+			it( 'should return immutable descriptors', () => {
+				const step = undo.getUndoStack()[ 1 ];
+
+				expect( Object.isFrozen( step ) ).to.be.true;
+				expect( Object.isFrozen( step.selection ) ).to.be.true;
+				expect( Object.isFrozen( step.selection.ranges ) ).to.be.true;
+			} );
+
+			it( 'should not be affected by changes in the stack', () => {
+				const stack = undo.getUndoStack();
+
+				editor.execute( 'undo' );
+
+				expect( stack ).to.have.length( 2 );
+				expect( undo.getUndoStack() ).to.have.length( 1 );
+			} );
+		} );
+
+		describe( 'getRedoStack()', () => {
+			it( 'should describe the steps in the redo stack', () => {
+				expect( undo.getRedoStack() ).to.be.empty;
+
+				editor.execute( 'undo' );
+
+				const stack = undo.getRedoStack();
+
+				expect( stack ).to.have.length( 1 );
+				expect( stack[ 0 ].batch ).to.equal( undo._redoCommand._stack[ 0 ].batch );
+				expect( stack[ 0 ].operationCount ).to.equal( 2 );
+				expect( stack[ 0 ].label ).to.equal( 'Typing' );
+			} );
+		} );
+
+		describe( 'canUndo()', () => {
+			it( 'should check whether the batch is in the undo stack', () => {
+				const batch = undo._undoCommand._stack[ 1 ].batch;
+
+				expect( undo.canUndo( batch ) ).to.be.true;
+				expect( undo.canUndo( model.createBatch() ) ).to.be.false;
+
+				editor.execute( 'undo' );
+
+				expect( undo.canUndo( batch ) ).to.be.false;
+			} );
+		} );
+
+		describe( 'canRedo()', () => {
+			it( 'should check whether the batch is in the redo stack', () => {
+				editor.execute( 'undo' );
+
+				const batch = undo._redoCommand._stack[ 0 ].batch;
+
+				expect( undo.canRedo( batch ) ).to.be.true;
+				expect( undo.canRedo( model.createBatch() ) ).to.be.false;
+
+				editor.execute( 'redo' );
+
+				expect( undo.canRedo( batch ) ).to.be.false;
+			} );
+		} );
+	} );
+
+	describe( 'per-root stacks', () => {
+		let perRootEditor, perRootUndo, perRootModel, mainRoot, sidebarRoot, clock;
+
+		beforeEach( () => {
+			clock = sinon.useFakeTimers( { now: 10000 } );
+
+			perRootEditor = new ModelTestEditor( { undo: { perRoot: true, coalescing: { idleTime: 500 } } } );
+			perRootModel = perRootEditor.model;
+			mainRoot = perRootModel.document.getRoot();
+			sidebarRoot = perRootModel.document.createRoot( '$root', 'sidebar' );
+
+			perRootUndo = new UndoEditing( perRootEditor );
+			perRootUndo.init();
+		} );
+
+		afterEach( () => {
+			clock.restore();
+			perRootUndo.destroy();
+		} );
+
+		function insert( text, root ) {
+			perRootModel.change( writer => {
+				writer.insertText( text, root, 'end' );
+				writer.setSelection( root, 'end' );
+			} );
+		}
+
+		function selectRoot( root ) {
+			perRootModel.change( writer => {
+				writer.setSelection( root, 'end' );
+			} );
+		}
+
+		it( 'should undo the last change in the root of the selection', () => {
+			insert( 'foo', mainRoot );
+			insert( 'bar', sidebarRoot );
+			insert( 'baz', sidebarRoot );
+
+			selectRoot( mainRoot );
+			perRootEditor.execute( 'undo' );
+
+			expect( mainRoot.childCount ).to.equal( 0 );
+			expect( sidebarRoot.getChild( 0 ).data ).to.equal( 'barbaz' );
+		} );
+
+		it( 'should enable the commands according to the stacks of the selection root', () => {
+			insert( 'foo', sidebarRoot );
+
+			expect( perRootUndo._undoCommand.isEnabled ).to.be.true;
+
+			selectRoot( mainRoot );
+
+			expect( perRootUndo._undoCommand.isEnabled ).to.be.false;
+
+			perRootEditor.execute( 'undo' );
+
+			expect( sidebarRoot.getChild( 0 ).data ).to.equal( 'foo' );
+		} );
+
+		it( 'should redo within the root of the selection', () => {
+			insert( 'foo', mainRoot );
+			insert( 'bar', sidebarRoot );
+
+			perRootEditor.execute( 'undo' );
+			selectRoot( mainRoot );
+			perRootEditor.execute( 'undo' );
+
+			expect( perRootUndo._redoCommand.isEnabled ).to.be.true;
+
+			selectRoot( sidebarRoot );
+			perRootEditor.execute( 'redo' );
+
+			expect( mainRoot.childCount ).to.equal( 0 );
+			expect( sidebarRoot.getChild( 0 ).data ).to.equal( 'bar' );
+		} );
+
+		it( 'should clear only the redo stacks of the changed roots', () => {
+			insert( 'foo', mainRoot );
+			clock.tick( 1000 );
+			insert( 'bar', sidebarRoot );
+
+			perRootEditor.execute( 'undo' );
+			selectRoot( mainRoot );
+			perRootEditor.execute( 'undo' );
+
+			clock.tick( 1000 );
+			insert( 'baz', sidebarRoot );
+
+			expect( perRootUndo.getRedoStack( 'sidebar' ) ).to.be.empty;
+			expect( perRootUndo.getRedoStack( 'main' ) ).to.have.length( 1 );
+		} );
+
+		it( 'should not coalesce changes in different roots', () => {
+			insert( 'foo', mainRoot );
+			insert( 'bar', sidebarRoot );
+			insert( 'baz', sidebarRoot );
+
+			expect( perRootUndo.getUndoStack( 'main' ) ).to.have.length( 1 );
+			expect( perRootUndo.getUndoStack( 'sidebar' ) ).to.have.length( 1 );
+			expect( perRootUndo.getUndoStack() ).to.have.length( 2 );
+		} );
+
+		it( 'should add a step changing several roots to the stacks of all of them', () => {
+			perRootModel.change( writer => {
+				writer.insertText( 'foo', mainRoot );
+				writer.insertText( 'bar', sidebarRoot );
+			} );
+
+			expect( perRootUndo.getUndoStack( 'main' ) ).to.have.length( 1 );
+			expect( perRootUndo.getUndoStack( 'sidebar' ) ).to.have.length( 1 );
+
+			selectRoot( sidebarRoot );
+			perRootEditor.execute( 'undo' );
+
+			expect( mainRoot.childCount ).to.equal( 0 );
+			expect( sidebarRoot.childCount ).to.equal( 0 );
+			expect( perRootUndo.getRedoStack( 'main' ) ).to.have.length( 1 );
+		} );
+
+		it( 'should clear the redo stacks of all roots changed by a batch', () => {
+			insert( 'foo', mainRoot );
+			clock.tick( 1000 );
+			insert( 'bar', sidebarRoot );
+
+			perRootEditor.execute( 'undo' );
+			selectRoot( mainRoot );
+			perRootEditor.execute( 'undo' );
+
+			clock.tick( 1000 );
+
+			perRootModel.change( writer => {
+				writer.insertText( 'baz', mainRoot );
+				writer.insertText( 'qux', sidebarRoot );
+			} );
+
+			expect( perRootUndo.getRedoStack( 'main' ) ).to.be.empty;
+			expect( perRootUndo.getRedoStack( 'sidebar' ) ).to.be.empty;
+		} );
+
+		it( 'should not coalesce a batch which later changes a different root', () => {
+			insert( 'foo', mainRoot );
+
+			perRootModel.change( writer => {
+				writer.insertText( 'bar', mainRoot, 'end' );
+				writer.insertText( 'baz', sidebarRoot );
+			} );
+
+			expect( perRootUndo.getUndoStack( 'main' ) ).to.have.length( 2 );
+			expect( perRootUndo.getUndoStack( 'sidebar' ) ).to.have.length( 1 );
+
+			selectRoot( sidebarRoot );
+			perRootEditor.execute( 'undo' );
+
+			expect( mainRoot.getChild( 0 ).data ).to.equal( 'foo' );
+			expect( sidebarRoot.childCount ).to.equal( 0 );
+		} );
+
+		it( 'should keep coalescing a batch which later changes a root changed by the last step', () => {
+			perRootModel.change( writer => {
+				writer.insertText( 'foo', mainRoot );
+				writer.insertText( 'bar', sidebarRoot );
+			} );
+
+			perRootModel.change( writer => {
+				writer.insertText( 'baz', mainRoot, 'end' );
+				writer.insertText( 'qux', sidebarRoot, 'end' );
+			} );
+
+			expect( perRootUndo.getUndoStack() ).to.have.length( 1 );
+		} );
+	} );
+
+	describe( 'collaboration', () => {
+		let editorA, editorB, undoA, undoB, rootA, rootB;
+
+		beforeEach( () => {
+			editorA = new ModelTestEditor( { undo: { authorId: 'a' } } );
+			editorB = new ModelTestEditor( { undo: { authorId: 'b' } } );
+
+			undoA = new UndoEditing( editorA );
+			undoA.init();
+			undoB = new UndoEditing( editorB );
+			undoB.init();
+
+			rootA = editorA.model.document.getRoot();
+			rootB = editorB.model.document.getRoot();
+
+			connect( editorA, undoA, editorB, undoB );
+			connect( editorB, undoB, editorA, undoA );
+		} );
+
+		afterEach( () => {
+			undoA.destroy();
+			undoB.destroy();
+		} );
+
+		// Sends all operations applied locally in the source editor to the target editor, as changes of the source author.
+		// The editors take turns, so the operations never have to be transformed before they are applied.
+		function connect( source, sourceUndo, target, targetUndo ) {
+			const targetBatches = new WeakMap();
+
+			source.model.on( 'applyOperation', ( evt, args ) => {
+				const operation = args[ 0 ];
+
+				if ( !operation.isDocumentOperation || !sourceUndo._isLocalBatch( operation.batch ) ) {
+					return;
+				}
+
+				if ( !targetBatches.has( operation.batch ) ) {
+					const batch = target.model.createBatch();
+
+					targetUndo.setBatchAuthor( batch, sourceUndo.authorId );
+					targetBatches.set( operation.batch, batch );
+				}
+
+				const remoteOperation = OperationFactory.fromJSON( JSON.parse( JSON.stringify( operation ) ), target.model.document );
+
+				target.model.enqueueChange( targetBatches.get( operation.batch ), () => {
+					targetBatches.get( operation.batch ).addOperation( remoteOperation );
+					target.model.applyOperation( remoteOperation );
+				} );
+			}, { priority: 'lowest' } );
+		}
+
+		function insert( editor, text, offset ) {
+			editor.model.change( writer => {
+				writer.insertText( text, editor.model.document.getRoot(), offset );
+			} );
+		}
+
+		function getText( root ) {
+			return Array.from( root.getChildren() ).map( node => node.data ).join( '' );
+		}
+
+		it( 'should set and return the author of a batch', () => {
+			const batch = editorA.model.createBatch();
+
+			expect( undoA.authorId ).to.equal( 'a' );
+			expect( undoA.getBatchAuthor( batch ) ).to.equal( 'a' );
+
+			undoA.setBatchAuthor( batch, 'b' );
+
+			expect( undoA.getBatchAuthor( batch ) ).to.equal( 'b' );
+		} );
+
+		it( 'should add only the local batches to the undo stack', () => {
+			insert( editorA, 'foo', 0 );
+			insert( editorB, 'bar', 'end' );
+
+			expect( getText( rootA ) ).to.equal( 'foobar' );
+			expect( getText( rootB ) ).to.equal( 'foobar' );
+
+			expect( undoA.getUndoStack() ).to.have.length( 1 );
+			expect( undoB.getUndoStack() ).to.have.length( 1 );
+		} );
+
+		it( 'should undo the local change transformed by the remote changes', () => {
+			insert( editorA, 'foo', 0 );
+			insert( editorB, 'bar', 0 );
+			insert( editorB, 'baz', 'end' );
+
+			editorA.execute( 'undo' );
+
+			expect( getText( rootA ) ).to.equal( 'barbaz' );
+			expect( getText( rootB ) ).to.equal( 'barbaz' );
+			expect( editorA.commands.get( 'undo' ).isEnabled ).to.be.false;
+			expect( undoB.getUndoStack() ).to.have.length( 2 );
+
+			editorA.execute( 'redo' );
+
+			expect( getText( rootA ) ).to.equal( 'barfoobaz' );
+			expect( getText( rootB ) ).to.equal( 'barfoobaz' );
+		} );
+
+		it( 'should not clear the redo stack on remote changes', () => {
+			insert( editorA, 'foo', 0 );
+			editorA.execute( 'undo' );
+
+			insert( editorB, 'bar', 0 );
+
+			expect( undoA.getRedoStack() ).to.have.length( 1 );
+			expect( undoB.getUndoStack() ).to.have.length( 1 );
+
+			editorA.execute( 'redo' );
+
+			expect( getText( rootA ) ).to.equal( 'foobar' );
+			expect( getText( rootB ) ).to.equal( 'foobar' );
+		} );
+	} );
+
+	describe( 'labels', () => {
+		it( 'should label a batch once its changes are applied', () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root );
+
+				expect( undo._undoCommand.stepLabel ).to.be.null;
+			} );
+
+			const batch = undo._undoCommand._stack[ 0 ].batch;
+
+			expect( undo.getBatchLabel( batch ) ).to.equal( 'Typing' );
+			expect( undo._undoCommand.stepLabel ).to.equal( 'Typing' );
+		} );
+
+		it( 'should label undoing and redoing batches the same as the reverted batch', () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root );
+			} );
+
+			model.change( writer => {
+				writer.setAttribute( 'bold', true, writer.createRangeIn( root ) );
+			} );
+
+			editor.execute( 'undo' );
+
+			expect( undo._undoCommand.stepLabel ).to.equal( 'Typing' );
+			expect( undo._redoCommand.stepLabel ).to.equal( 'Formatting' );
+			expect( undo.getBatchLabel( undo._redoCommand._stack[ 0 ].batch ) ).to.equal( 'Formatting' );
+
+			editor.execute( 'redo' );
+
+			expect( undo._undoCommand.stepLabel ).to.equal( 'Formatting' );
+			expect( undo._redoCommand.stepLabel ).to.be.null;
+		} );
+
+		it( 'should not label batches which were not recognized', () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root );
+			} );
+
+			model.change( writer => {
+				writer.move( writer.createRange( writer.createPositionAt( root, 0 ), writer.createPositionAt( root, 1 ) ), root, 'end' );
+			} );
+
+			expect( undo._undoCommand.stepLabel ).to.be.null;
+			expect( undo._undoCommand._stack[ 1 ].label ).to.be.undefined;
+		} );
+
+		it( 'should check labelers added later first', () => {
+			undo.addLabeler( batch => batch.operations.some( operation => operation.type == 'insert' ) ? 'Custom' : undefined );
+
+			model.change( writer => {
+				writer.insertText( 'foo', root );
+			} );
+
+			model.change( writer => {
+				writer.remove( writer.createRangeIn( root ) );
+			} );
+
+			expect( undo._undoCommand._stack[ 0 ].label ).to.equal( 'Custom' );
+			expect( undo._undoCommand._stack[ 1 ].label ).to.equal( 'Delete' );
+		} );
+
+		it( 'should label the steps with the labels of the attributes and the elements set by the features', () => {
+			model.schema.register( 'table', { allowIn: '$root', isObject: true } );
+
+			undo.addAttributeLabel( 'bold', 'Bold' );
+			undo.addElementLabel( 'table', 'Insert table' );
+
+			model.change( writer => {
+				writer.insertText( 'foo', root );
+			} );
+
+			model.change( writer => {
+				writer.setAttribute( 'bold', true, writer.createRangeIn( root ) );
+			} );
+
+			model.change( writer => {
+				writer.insertElement( 'table', root, 'end' );
+			} );
+
+			expect( undo._undoCommand._stack.map( item => item.label ) ).to.deep.equal( [ 'Typing', 'Bold', 'Insert table' ] );
+		} );
+
+		it( 'should label inserting a document fragment as paste', () => {
+			model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			setData( model, '<paragraph>[]</paragraph>' );
+			undo._undoCommand.clearStack();
+
+			model.change( writer => {
+				const fragment = writer.createDocumentFragment();
+
+				writer.insertText( 'foo', fragment );
+				model.insertContent( fragment );
+			} );
+
+			model.insertContent( model.change( writer => writer.createText( 'bar' ) ) );
+
+			expect( undo._undoCommand._stack.map( item => item.label ) ).to.deep.equal( [ 'Paste', 'Typing' ] );
+		} );
+	} );
+
+	describe( 'batch filters', () => {
+		beforeEach( () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root );
+			} );
+		} );
+
+		it( 'should be called with a new batch and its first operation', () => {
+			const filter = sinon.spy();
+
+			undo.addBatchFilter( filter );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+				writer.insertText( 'baz', root, 'end' );
+			} );
+
+			sinon.assert.calledOnce( filter );
+
+			const [ batch, operation ] = filter.firstCall.args;
+
+			expect( batch ).to.equal( undo._undoCommand._stack[ 1 ].batch );
+			expect( operation ).to.equal( batch.operations[ 0 ] );
+		} );
+
+		it( 'should not be called for transparent batches and batches created by undo and redo', () => {
+			const filter = sinon.spy();
+
+			undo.addBatchFilter( filter );
+
+			model.enqueueChange( 'transparent', writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			editor.execute( 'undo' );
+			editor.execute( 'redo' );
+
+			sinon.assert.notCalled( filter );
+		} );
+
+		it( 'should keep the ignored batches out of the undo stack', () => {
+			undo.addBatchFilter( ( batch, operation ) => operation.key == 'data-sync' ? 'ignore' : undefined );
+
+			editor.execute( 'undo' );
+
+			model.change( writer => {
+				writer.setAttribute( 'data-sync', 1, writer.createRangeIn( root ) );
+				writer.setAttribute( 'bold', true, writer.createRangeIn( root ) );
+			} );
+
+			expect( undo._undoCommand._stack ).to.be.empty;
+			expect( undo._redoCommand._stack ).to.have.length( 1 );
+		} );
+
+		it( 'should merge the batches into the last step', () => {
+			undo.addBatchFilter( () => 'merge' );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			expect( undo._undoCommand._stack ).to.have.length( 1 );
+
+			editor.execute( 'undo' );
+
+			expect( root.childCount ).to.equal( 0 );
+		} );
+
+		it( 'should record the batches if no filter decided', () => {
+			undo.addBatchFilter( () => undefined );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			expect( undo._undoCommand._stack ).to.have.length( 2 );
+		} );
+
+		it( 'should check the filters added later first', () => {
+			const earlierFilter = sinon.stub().returns( 'ignore' );
+
+			undo.addBatchFilter( earlierFilter );
+			undo.addBatchFilter( () => 'record' );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			sinon.assert.notCalled( earlierFilter );
+			expect( undo._undoCommand._stack ).to.have.length( 2 );
+		} );
+	} );
+
+	describe( 'checkpoints', () => {
+		beforeEach( () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root );
+			} );
+		} );
+
+		it( 'should not undo the steps behind a barrier', () => {
+			undo.addCheckpoint( 'saved' );
+
+			expect( undo.hasCheckpoint( 'saved' ) ).to.be.true;
+			expect( undo._undoCommand.isEnabled ).to.be.false;
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			expect( undo._undoCommand.isEnabled ).to.be.true;
+
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foo' );
+			expect( undo._undoCommand.isEnabled ).to.be.false;
+
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foo' );
+		} );
+
+		it( 'should not undo given batches behind a barrier', () => {
+			const batch = undo._undoCommand._stack[ 0 ].batch;
+
+			undo.addCheckpoint( 'saved' );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			expect( undo.canUndo( batch ) ).to.be.false;
+
+			editor.execute( 'undo', batch );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foobar' );
+			expect( undo._undoCommand._stack ).to.have.length( 2 );
+		} );
+
+		it( 'should allow undoing the steps behind a removed barrier', () => {
+			undo.addCheckpoint( 'saved' );
+			undo.removeCheckpoint( 'saved' );
+
+			expect( undo.hasCheckpoint( 'saved' ) ).to.be.false;
+			expect( undo._undoCommand.isEnabled ).to.be.true;
+
+			editor.execute( 'undo' );
+
+			expect( root.childCount ).to.equal( 0 );
+		} );
+
+		it( 'should move the checkpoint added again', () => {
+			undo.addCheckpoint( 'saved' );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			undo.addCheckpoint( 'saved' );
+
+			model.change( writer => {
+				writer.insertText( 'baz', root, 'end' );
+			} );
+
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foobar' );
+			expect( undo._undoCommand.isEnabled ).to.be.false;
+		} );
+
+		it( 'should not block undo if the checkpoint is not a barrier', () => {
+			undo.addCheckpoint( 'saved', { isBarrier: false } );
+
+			expect( undo._undoCommand.isEnabled ).to.be.true;
+			expect( undo.canUndo( undo._undoCommand._stack[ 0 ].batch ) ).to.be.true;
+		} );
+
+		it( 'should not merge new changes into the step marked by a checkpoint', () => {
+			undo.addBatchFilter( () => 'merge' );
+			undo.addCheckpoint( 'saved', { isBarrier: false } );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'baz', root, 'end' );
+			} );
+
+			expect( undo._undoCommand._stack ).to.have.length( 2 );
+
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foo' );
+		} );
+
+		it( 'should keep grouping the changes after a checkpoint added in the middle of a group', () => {
+			undo.startGroup();
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			undo.addCheckpoint( 'saved', { isBarrier: false } );
+
+			model.change( writer => {
+				writer.insertText( 'baz', root, 'end' );
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'qux', root, 'end' );
+			} );
+
+			undo.endGroup();
+
+			expect( undo._undoCommand._stack ).to.have.length( 3 );
+
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foobar' );
+
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foo' );
+		} );
+	} );
+
+	describe( 'revertTo()', () => {
+		beforeEach( () => {
+			model.change( writer => {
+				writer.insertText( 'foo', root );
+			} );
+		} );
+
+		it( 'should undo all steps made after the checkpoint as a single step', () => {
+			undo.addCheckpoint( 'saved', { isBarrier: false } );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'baz', root, 'end' );
+			} );
+
+			undo.revertTo( 'saved' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foo' );
+			expect( undo._undoCommand._stack ).to.have.length( 1 );
+			expect( undo._redoCommand._stack ).to.have.length( 1 );
+
+			editor.execute( 'redo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foobarbaz' );
+		} );
+
+		it( 'should undo all steps if the checkpoint was added with an empty stack', () => {
+			undo._undoCommand.clearStack();
+			undo.addCheckpoint( 'loaded' );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			undo.revertTo( 'loaded' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foo' );
+		} );
+
+		it( 'should do nothing if there are no steps after the checkpoint', () => {
+			const spy = sinon.spy( undo._undoCommand, '_revert' );
+
+			undo.addCheckpoint( 'saved' );
+
+			expect( undo.revertTo( 'saved' ) ).to.be.true;
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should revert the steps wherever the selection is', () => {
+			const perRootEditor = new ModelTestEditor( { undo: { perRoot: true } } );
+			const perRootModel = perRootEditor.model;
+			const sidebarRoot = perRootModel.document.createRoot( '$root', 'sidebar' );
+			const perRootUndo = new UndoEditing( perRootEditor );
+
+			perRootUndo.init();
+			perRootUndo.addCheckpoint( 'saved' );
+
+			perRootModel.change( writer => {
+				writer.insertText( 'foo', perRootModel.document.getRoot() );
+			} );
+
+			perRootModel.change( writer => {
+				writer.setSelection( sidebarRoot, 0 );
+			} );
+
+			expect( perRootUndo._undoCommand.isEnabled ).to.be.false;
+			expect( perRootUndo.revertTo( 'saved' ) ).to.be.true;
+			expect( getData( perRootModel, { withoutSelection: true } ) ).to.equal( '' );
+
+			perRootUndo.destroy();
+		} );
+
+		it( 'should return false if the steps were not reverted', () => {
+			undo.addCheckpoint( 'saved' );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root, 'end' );
+			} );
+
+			undo._undoCommand.forceDisabled( 'test' );
+
+			expect( undo.revertTo( 'saved' ) ).to.be.false;
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( 'foobar' );
+		} );
+
+		it( 'should throw if there is no such checkpoint', () => {
+			expectToThrowCKEditorError( () => {
+				undo.revertTo( 'saved' );
+			}, /^undoediting-revertto-no-checkpoint/, undo );
+		} );
+
+		it( 'should throw if the step marked by the checkpoint was undone', () => {
+			undo.addCheckpoint( 'saved', { isBarrier: false } );
+
+			editor.execute( 'undo' );
+
+			expectToThrowCKEditorError( () => {
+				undo.revertTo( 'saved' );
+			}, /^undoediting-revertto-checkpoint-unreachable/, undo );
+		} );
+	} );
+
+	describe( 'editable scopes', () => {
+		beforeEach( () => {
+			model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			model.schema.register( 'caption', { inheritAllFrom: '$block' } );
+
+			setData( model, '<paragraph>[]</paragraph><caption></caption>' );
+		} );
+
+		it( 'should revert the last step by default', () => {
+			insertTexts();
+
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><caption>bar</caption>' );
+		} );
+
+		it( 'should revert the steps which changed the editable in which the selection is', () => {
+			undo.addEditableScope( 'caption', 'caption' );
+			insertTexts();
+
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foobaz</paragraph><caption></caption>' );
+
+			editor.execute( 'redo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foobaz</paragraph><caption>bar</caption>' );
+		} );
+
+		it( 'should revert the last step if no step changed the editable', () => {
+			undo.addEditableScope( 'caption', element => element.name == 'caption' );
+			insertTexts();
+
+			editor.execute( 'undo' );
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><caption></caption>' );
+		} );
+
+		it( 'should revert the last step if the selection is not in a scoped editable', () => {
+			undo.addEditableScope( 'caption', 'caption' );
+			insertTexts();
+
+			model.change( writer => {
+				writer.setSelection( root.getChild( 0 ), 'end' );
+			} );
+
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><caption>bar</caption>' );
+		} );
+
+		it( 'should revert the last step once the scope was removed', () => {
+			undo.addEditableScope( 'caption', 'caption' );
+			insertTexts();
+			undo.removeEditableScope( 'caption' );
+
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph><caption>bar</caption>' );
+		} );
+
+		// Changes the paragraph, then the caption and the paragraph again, and puts the selection in the caption.
+		it( 'should share the touched editables between both commands', () => {
+			undo.addEditableScope( 'caption', 'caption' );
+			insertText( 'foo', root.getChild( 1 ) );
+
+			const touchedScopeElements = undo._undoCommand._touchedScopeElements;
+			const batch = undo._undoCommand._stack[ undo._undoCommand._stack.length - 1 ].batch;
+
+			expect( undo._redoCommand._touchedScopeElements ).to.equal( touchedScopeElements );
+			expect( Array.from( touchedScopeElements.get( batch ) ) ).to.deep.equal( [ root.getChild( 1 ) ] );
+		} );
+
+		function insertTexts() {
+			insertText( 'foo', root.getChild( 0 ) );
+			insertText( 'bar', root.getChild( 1 ) );
+			insertText( 'baz', root.getChild( 0 ) );
+
+			model.change( writer => {
+				writer.setSelection( root.getChild( 1 ), 'end' );
+			} );
+		}
+
+		function insertText( text, parent ) {
+			model.change( writer => {
+				writer.insertText( text, parent, 'end' );
+			} );
+		}
+	} );
+
+	describe( 'createScope()', () => {
+		it( 'should create an undo scope independent from the undo command', () => {
+			const fragment = new DocumentFragment();
+			const scope = undo.createScope( fragment );
+
+			expect( scope ).to.be.instanceOf( UndoScope );
+			expect( scope.root ).to.equal( fragment );
+
+			model.change( writer => {
+				writer.insertText( 'foo', fragment );
+			} );
+
+			expect( scope.canUndo ).to.be.true;
+			expect( undo._undoCommand.isEnabled ).to.be.false;
+		} );
+
+		it( 'should throw if the root is not the root of a detached tree', () => {
+			const element = model.change( writer => {
+				const paragraph = writer.createElement( 'paragraph' );
+
+				writer.append( paragraph, writer.createDocumentFragment() );
+
+				return paragraph;
+			} );
+
+			expectToThrowCKEditorError( () => {
+				undo.createScope( element );
+			}, /^undoediting-createscope-invalid-root/, undo );
+
+			expectToThrowCKEditorError( () => {
+				undo.createScope( root );
+			}, /^undoediting-createscope-invalid-root/, undo );
+		} );
+
+		it( 'should destroy the scopes together with the plugin', () => {
+			const scope = undo.createScope( new DocumentFragment() );
+			const spy = sinon.spy( scope, 'destroy' );
+
+			undo.destroy();
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( 'restoring markers', () => {
+		let markersEditor, markersUndo, markersModel, markersRoot;
+
+		beforeEach( () => {
+			markersEditor = new ModelTestEditor( { undo: { restoreMarkers: [ 'comment' ] } } );
+			markersModel = markersEditor.model;
+			markersRoot = markersModel.document.getRoot();
+
+			markersUndo = new UndoEditing( markersEditor );
+			markersUndo.init();
+
+			markersModel.enqueueChange( 'transparent', writer => {
+				writer.insertText( 'foobarbaz', markersRoot );
+				writer.addMarker( 'comment:1', { range: createRange( 3, 6 ), usingOperation: false } );
+				writer.addMarker( 'highlight:1', { range: createRange( 3, 6 ), usingOperation: false } );
+			} );
+		} );
+
+		afterEach( () => {
+			markersUndo.destroy();
+		} );
+
+		it( 'should restore the range of a marker which content was partly removed', () => {
+			markersModel.change( writer => {
+				writer.remove( createRange( 2, 4 ) );
+			} );
+
+			markersEditor.execute( 'undo' );
+
+			expect( getMarkerOffsets( 'comment:1' ) ).to.deep.equal( [ 3, 6 ] );
+		} );
+
+		it( 'should restore only the markers from the configured groups', () => {
+			markersModel.change( writer => {
+				writer.remove( createRange( 5, 8 ) );
+			} );
+
+			markersEditor.execute( 'undo' );
+
+			expect( getMarkerOffsets( 'comment:1' ) ).to.deep.equal( [ 3, 6 ] );
+			expect( getMarkerOffsets( 'highlight:1' ) ).to.deep.equal( [ 3, 5 ] );
+		} );
+
+		it( 'should add back a marker removed after the step', () => {
+			markersModel.change( writer => {
+				writer.remove( createRange( 2, 4 ) );
+			} );
+
+			markersModel.change( writer => {
+				writer.removeMarker( 'comment:1' );
+			} );
+
+			markersEditor.execute( 'undo' );
+
+			expect( getMarkerOffsets( 'comment:1' ) ).to.deep.equal( [ 3, 6 ] );
+			expect( markersModel.markers.get( 'comment:1' ).managedUsingOperations ).to.be.false;
+		} );
+
+		it( 'should not change the markers which were not touched by the step', () => {
+			markersModel.change( writer => {
+				writer.remove( createRange( 7, 9 ) );
+			} );
+
+			markersModel.change( writer => {
+				writer.updateMarker( 'comment:1', { range: createRange( 0, 2 ) } );
+			} );
+
+			markersEditor.execute( 'undo' );
+
+			expect( getMarkerOffsets( 'comment:1' ) ).to.deep.equal( [ 0, 2 ] );
+		} );
+
+		it( 'should restore the state from before the oldest step when several steps are undone at once', () => {
+			markersModel.change( writer => {
+				writer.remove( createRange( 5, 8 ) );
+			} );
+
+			markersModel.change( writer => {
+				writer.remove( createRange( 2, 4 ) );
+			} );
+
+			markersEditor.execute( 'undo', markersUndo._undoCommand._stack.map( item => item.batch ) );
+
+			expect( getMarkerOffsets( 'comment:1' ) ).to.deep.equal( [ 3, 6 ] );
+		} );
+
+		it( 'should let redo revert the restored markers', () => {
+			markersEditor.model.enqueueChange( 'transparent', writer => {
+				writer.updateMarker( 'comment:1', { usingOperation: true } );
+			} );
+
+			markersModel.change( writer => {
+				writer.remove( createRange( 2, 4 ) );
+			} );
+
+			const shrunkOffsets = getMarkerOffsets( 'comment:1' );
+
+			markersEditor.execute( 'undo' );
+			expect( getMarkerOffsets( 'comment:1' ) ).to.deep.equal( [ 3, 6 ] );
+
+			markersEditor.execute( 'redo' );
+			expect( getMarkerOffsets( 'comment:1' ) ).to.deep.equal( shrunkOffsets );
+		} );
+
+		function createRange( start, end ) {
+			return markersModel.createRange(
+				markersModel.createPositionAt( markersRoot, start ),
+				markersModel.createPositionAt( markersRoot, end )
+			);
+		}
+
+		function getMarkerOffsets( name ) {
+			const range = markersModel.markers.get( name ).getRange();
+
+			return [ range.start.offset, range.end.offset ];
+		}
+	} );
+
+	it( 'should set CTRL+Z keystroke', () => {
+		const spy = sinon.stub( editor, 'execute' );
+
+		const wasHandled = editor.keystrokes.press( {
+			keyCode: keyCodes.z,
+			ctrlKey: true,
+			preventDefault: sinon.spy(),
+			stopPropagation: sinon.spy()
+		} );
+
+		expect( wasHandled ).to.be.true;
+		expect( spy.calledWithExactly( 'undo' ) ).to.be.true;
+	} );
+
+	it( 'should set CTRL+Y keystroke', () => {
+		const spy = sinon.stub( editor, 'execute' );
+
+		const wasHandled = editor.keystrokes.press( {
+			keyCode: keyCodes.y,
+			ctrlKey: true,
+			preventDefault: sinon.spy(),
+			stopPropagation: sinon.spy()
+		} );
+
+		expect( wasHandled ).to.be.true;
+		expect( spy.calledWithExactly( 'redo' ) ).to.be.true;
+	} );
+
+	it( 'should set CTRL+SHIFT+Z keystroke', () => {
+		const spy = sinon.stub( editor, 'execute' );
+		const keyEventData = {
+			keyCode: keyCodes.z,
+			ctrlKey: true,
+			shiftKey: true,
+			preventDefault: sinon.spy(),
+			stopPropagation: sinon.spy()
+		};
+
+		const wasHandled = editor.keystrokes.press( keyEventData );
+
+		expect( wasHandled ).to.be.true;
+		expect( spy.calledWithExactly( 'redo' ) ).to.be.true;
+		expect( keyEventData.preventDefault.calledOnce ).to.be.true;
+	} );
+
+	describe( 'keystrokes configuration', () => {
+		let keystrokesEditor, keystrokesUndo;
+
+		afterEach( () => {
+			keystrokesUndo.destroy();
+		} );
+
+		it( 'should set the configured keystrokes', () => {
+			createEditor( { undo: [ 'CTRL+Z', 'ALT+BACKSPACE' ], redo: 'CTRL+SHIFT+Z' } );
+
+			const spy = sinon.stub( keystrokesEditor, 'execute' );
+
+			expect( keystrokesUndo.keystrokes ).to.deep.equal( {
+				undo: [ 'CTRL+Z', 'ALT+BACKSPACE' ],
+				redo: [ 'CTRL+SHIFT+Z' ]
+			} );
+
+			expect( press( { keyCode: keyCodes.backspace, altKey: true } ) ).to.be.true;
+			expect( press( { keyCode: keyCodes.y, ctrlKey: true } ) ).to.be.false;
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, 'undo' );
+		} );
+
+		it( 'should keep the default keystrokes of the commands which are not configured', () => {
+			createEditor( { undo: 'ALT+BACKSPACE' } );
+
+			expect( keystrokesUndo.keystrokes.redo ).to.deep.equal( [ 'CTRL+Y', 'CTRL+SHIFT+Z' ] );
+		} );
+
+		it( 'should not set the keystrokes of the command configured with false', () => {
+			createEditor( { undo: false } );
+
+			expect( keystrokesUndo.keystrokes.undo ).to.deep.equal( [] );
+			expect( press( { keyCode: keyCodes.z, ctrlKey: true } ) ).to.be.false;
+		} );
+
+		it( 'should not set any keystrokes if the option is false', () => {
+			createEditor( false );
+
+			expect( keystrokesUndo.keystrokes ).to.deep.equal( { undo: [], redo: [] } );
+			expect( press( { keyCode: keyCodes.z, ctrlKey: true } ) ).to.be.false;
+			expect( press( { keyCode: keyCodes.y, ctrlKey: true } ) ).to.be.false;
+		} );
+
+		function createEditor( keystrokes ) {
+			keystrokesEditor = new ModelTestEditor( { undo: { keystrokes } } );
+
+			keystrokesUndo = new UndoEditing( keystrokesEditor );
+			keystrokesUndo.init();
+		}
+
+		function press( keyEventData ) {
+			return keystrokesEditor.keystrokes.press( Object.assign( {
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			}, keyEventData ) );
+		}
 	} );
 } );
@@ -0,0 +1,217 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor';
+import UndoEditing from '../src/undoediting';
+import UndoExport from '../src/undoexport';
+import { setData, getData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+
+describe( 'UndoExport', () => {
+	let editor, undoEditing, undoExport, model, root;
+	let restoredEditor, restoredUndoEditing, restoredUndoExport, restoredModel;
+
+	beforeEach( () => {
+		return Promise.all( [ createEditor(), createEditor() ] ).then( ( [ newEditor, newRestoredEditor ] ) => {
+			editor = newEditor;
+			model = editor.model;
+			root = model.document.getRoot();
+			undoEditing = editor.plugins.get( UndoEditing );
+			undoExport = editor.plugins.get( UndoExport );
+
+			restoredEditor = newRestoredEditor;
+			restoredModel = restoredEditor.model;
+			restoredUndoEditing = restoredEditor.plugins.get( UndoEditing );
+			restoredUndoExport = restoredEditor.plugins.get( UndoExport );
+
+			model.enqueueChange( 'transparent', writer => {
+				const paragraph = writer.createElement( 'paragraph' );
+
+				writer.insertText( 'foo', paragraph );
+				writer.insert( paragraph, root );
+				writer.setSelection( paragraph, 'end' );
+			} );
+
+			model.change( writer => {
+				writer.insertText( 'bar', model.document.selection.getFirstPosition() );
+			} );
+
+			model.change( writer => {
+				const paragraph = writer.createElement( 'paragraph' );
+
+				writer.insertText( 'baz', paragraph );
+				writer.insert( paragraph, root, 'end' );
+				writer.setSelection( paragraph, 'end' );
+			} );
+
+			model.change( writer => {
+				writer.setSelection( writer.createRange( writer.createPositionAt( root.getChild( 0 ), 0 ),
+					writer.createPositionAt( root.getChild( 0 ), 3 ) ) );
+				writer.remove( model.document.selection.getFirstRange() );
+			} );
+
+			model.change( writer => {
+				writer.setSelection( root.getChild( 0 ), 'in' );
+				writer.setAttribute( 'bold', true, model.document.selection.getFirstRange() );
+			} );
+
+			editor.execute( 'undo' );
+
+			setData( restoredModel, getData( model, { withoutSelection: true } ) );
+
+			restoredUndoExport.importHistory( JSON.parse( JSON.stringify( undoExport.exportHistory() ) ) );
+		} );
+	} );
+
+	afterEach( () => {
+		return Promise.all( [ editor.destroy(), restoredEditor.destroy() ] );
+	} );
+
+	it( 'should be named', () => {
+		expect( UndoExport.pluginName ).to.equal( 'UndoExport' );
+	} );
+
+	it( 'should require UndoEditing', () => {
+		expect( UndoExport.requires ).to.deep.equal( [ UndoEditing ] );
+	} );
+
+	it( 'should restore both stacks', () => {
+		expect( restoredUndoEditing._undoCommand._stack ).to.have.length( 3 );
+		expect( restoredUndoEditing._redoCommand._stack ).to.have.length( 1 );
+		expect( restoredUndoEditing._undoCommand.isEnabled ).to.be.true;
+		expect( restoredUndoEditing._redoCommand.isEnabled ).to.be.true;
+	} );
+
+	it( 'should restore step labels and timestamps', () => {
+		const stack = undoEditing.getUndoStack();
+		const restoredStack = restoredUndoEditing.getUndoStack();
+
+		expect( restoredStack.map( step => step.label ) ).to.deep.equal( stack.map( step => step.label ) );
+		expect( restoredStack.map( step => step.timestamp ) ).to.deep.equal( stack.map( step => step.timestamp ) );
+		expect( restoredUndoEditing._redoCommand.stepLabel ).to.equal( 'Formatting' );
+	} );
+
+	it( 'should undo the restored steps the same way as in the original editor', () => {
+		for ( let i = 0; i < 3; i++ ) {
+			editor.execute( 'undo' );
+			restoredEditor.execute( 'undo' );
+
+			expect( getData( restoredModel ) ).to.equal( getData( model ) );
+		}
+
+		expect( getData( restoredModel ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+	} );
+
+	it( 'should redo the restored steps the same way as in the original editor', () => {
+		editor.execute( 'redo' );
+		restoredEditor.execute( 'redo' );
+
+		expect( getData( restoredModel ) ).to.equal( getData( model ) );
+		expect( getData( restoredModel, { withoutSelection: true } ) ).to.equal(
+			'<paragraph><$text bold="true">bar</$text></paragraph><paragraph>baz</paragraph>'
+		);
+
+		editor.execute( 'undo' );
+		editor.execute( 'undo' );
+		restoredEditor.execute( 'undo' );
+		restoredEditor.execute( 'undo' );
+
+		expect( getData( restoredModel ) ).to.equal( getData( model ) );
+	} );
+
+	it( 'should keep the history working for new changes', () => {
+		restoredModel.change( writer => {
+			writer.insertText( 'qux', restoredModel.document.getRoot().getChild( 1 ), 'end' );
+		} );
+
+		expect( restoredUndoEditing._redoCommand.isEnabled ).to.be.false;
+
+		restoredEditor.execute( 'undo' );
+		restoredEditor.execute( 'undo' );
+		restoredEditor.execute( 'undo' );
+		restoredEditor.execute( 'undo' );
+
+		expect( getData( restoredModel, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+	} );
+
+	it( 'should restore the selection attributes and the selected element', () => {
+		const restoredRoot = restoredModel.document.getRoot();
+
+		restoredModel.schema.register( 'widget', { allowIn: '$root', isObject: true } );
+
+		restoredModel.change( writer => {
+			writer.insertElement( 'widget', restoredRoot, 'end' );
+		} );
+
+		restoredModel.change( writer => {
+			writer.setSelection( restoredRoot.getChild( 2 ), 'on' );
+			writer.remove( restoredRoot.getChild( 2 ) );
+		} );
+
+		restoredModel.change( writer => {
+			writer.setSelection( restoredRoot.getChild( 0 ), 'end' );
+			writer.setSelectionAttribute( 'bold', true );
+			writer.insertText( 'qux', restoredRoot.getChild( 0 ), 0 );
+		} );
+
+		restoredUndoExport.importHistory( JSON.parse( JSON.stringify( restoredUndoExport.exportHistory() ) ) );
+
+		const [ removeStep, insertStep ] = restoredUndoEditing.getUndoStack().slice( -2 );
+
+		expect( insertStep.selection.attributes ).to.deep.equal( [ [ 'bold', true ] ] );
+		expect( removeStep.selection.selectedElement.root ).to.equal( restoredModel.document.graveyard );
+
+		restoredModel.change( writer => {
+			writer.setSelection( restoredRoot, 0 );
+		} );
+
+		restoredEditor.execute( 'undo' );
+
+		expect( restoredModel.document.selection.getAttribute( 'bold' ) ).to.be.true;
+
+		restoredEditor.execute( 'undo' );
+
+		expect( restoredModel.document.selection.getSelectedElement() ).to.equal( restoredRoot.getChild( 2 ) );
+	} );
+
+	it( 'should export an empty history', () => {
+		return createEditor().then( emptyEditor => {
+			expect( emptyEditor.plugins.get( UndoExport ).exportHistory() ).to.deep.equal( {
+				operations: [],
+				undoPairs: [],
+				graveyard: [],
+				undoStack: [],
+				redoStack: []
+			} );
+
+			return emptyEditor.destroy();
+		} );
+	} );
+
+	it( 'should replace the current history', () => {
+		restoredModel.change( writer => {
+			writer.insertText( 'qux', restoredModel.document.getRoot().getChild( 1 ), 'end' );
+		} );
+
+		const historyData = restoredUndoExport.exportHistory();
+
+		restoredUndoExport.importHistory( { operations: [], undoPairs: [], graveyard: [], undoStack: [], redoStack: [] } );
+
+		expect( restoredUndoEditing._undoCommand.isEnabled ).to.be.false;
+		expect( restoredModel.document.graveyard.childCount ).to.equal( 0 );
+
+		restoredUndoExport.importHistory( historyData );
+
+		expect( restoredUndoEditing._undoCommand._stack ).to.have.length( 4 );
+	} );
+
+	function createEditor() {
+		return ModelTestEditor.create( { plugins: [ UndoExport ] } ).then( newEditor => {
+			newEditor.model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			newEditor.model.schema.extend( '$text', { allowAttributes: 'bold' } );
+
+			return newEditor;
+		} );
+	}
+} );
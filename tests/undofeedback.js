@@ -0,0 +1,189 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor';
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import UndoEditing from '../src/undoediting';
+import UndoFeedback from '../src/undofeedback';
+
+describe( 'UndoFeedback', () => {
+	let editor, model, root, clock;
+
+	beforeEach( () => {
+		clock = sinon.useFakeTimers();
+
+		return ModelTestEditor.create( { plugins: [ UndoFeedback ], undo: { feedback: true } } ).then( newEditor => {
+			editor = newEditor;
+			model = editor.model;
+			root = model.document.getRoot();
+
+			model.change( writer => {
+				writer.insertText( 'foobar', root );
+			} );
+
+			model.change( writer => {
+				const range = writer.createRange( writer.createPositionAt( root, 1 ), writer.createPositionAt( root, 4 ) );
+
+				writer.setAttribute( 'bold', true, range );
+			} );
+		} );
+	} );
+
+	afterEach( () => {
+		return editor.destroy().then( () => {
+			clock.restore();
+		} );
+	} );
+
+	it( 'should be named', () => {
+		expect( UndoFeedback.pluginName ).to.equal( 'UndoFeedback' );
+	} );
+
+	it( 'should require UndoEditing', () => {
+		expect( UndoFeedback.requires ).to.deep.equal( [ UndoEditing ] );
+	} );
+
+	it( 'should highlight the content changed by undo for a while', () => {
+		editor.execute( 'undo' );
+
+		const markers = Array.from( model.markers.getMarkersGroup( 'undoHighlight' ) );
+
+		expect( markers ).to.have.length( 1 );
+		expect( markers[ 0 ].getStart().path ).to.deep.equal( [ 1 ] );
+		expect( markers[ 0 ].getEnd().path ).to.deep.equal( [ 4 ] );
+
+		clock.tick( 1500 );
+
+		expect( Array.from( model.markers.getMarkersGroup( 'undoHighlight' ) ) ).to.be.empty;
+	} );
+
+	it( 'should highlight the content changed by redo and replace the previous highlight', () => {
+		editor.execute( 'undo' );
+		editor.execute( 'undo' );
+
+		expect( Array.from( model.markers.getMarkersGroup( 'undoHighlight' ) ) ).to.be.empty;
+
+		editor.execute( 'redo' );
+
+		const markers = Array.from( model.markers.getMarkersGroup( 'undoHighlight' ) );
+
+		expect( markers ).to.have.length( 1 );
+		expect( markers[ 0 ].getStart().path ).to.deep.equal( [ 0 ] );
+		expect( markers[ 0 ].getEnd().path ).to.deep.equal( [ 6 ] );
+	} );
+
+	it( 'should not add the highlight to the undo stack', () => {
+		editor.execute( 'undo' );
+		clock.tick( 1500 );
+
+		expect( editor.commands.get( 'undo' )._stack ).to.have.length( 1 );
+		expect( editor.commands.get( 'redo' )._stack ).to.have.length( 1 );
+	} );
+
+	it( 'should use the configured highlight duration', () => {
+		return createEditor( { highlightDuration: 3000 } ).then( feedbackEditor => {
+			feedbackEditor.execute( 'undo' );
+			clock.tick( 1500 );
+
+			expect( Array.from( feedbackEditor.model.markers.getMarkersGroup( 'undoHighlight' ) ) ).to.have.length( 1 );
+
+			clock.tick( 1500 );
+
+			expect( Array.from( feedbackEditor.model.markers.getMarkersGroup( 'undoHighlight' ) ) ).to.be.empty;
+
+			return feedbackEditor.destroy();
+		} );
+	} );
+
+	it( 'should not highlight the content if disabled', () => {
+		return createEditor( false ).then( feedbackEditor => {
+			feedbackEditor.execute( 'undo' );
+
+			expect( Array.from( feedbackEditor.model.markers.getMarkersGroup( 'undoHighlight' ) ) ).to.be.empty;
+
+			return feedbackEditor.destroy();
+		} );
+	} );
+
+	it( 'should not show the changed content by default', () => {
+		return createEditor().then( feedbackEditor => {
+			const spy = sinon.spy( feedbackEditor.editing.mapper, 'toViewRange' );
+
+			feedbackEditor.execute( 'undo' );
+
+			sinon.assert.notCalled( spy );
+			expect( Array.from( feedbackEditor.model.markers.getMarkersGroup( 'undoHighlight' ) ) ).to.be.empty;
+
+			return feedbackEditor.destroy();
+		} );
+	} );
+
+	it( 'should remove the highlight timeout when destroyed', () => {
+		editor.execute( 'undo' );
+		editor.plugins.get( UndoFeedback ).destroy();
+
+		expect( clock.countTimers() ).to.equal( 0 );
+	} );
+
+	it( 'should scroll the view to the content changed by undo', () => {
+		const element = document.createElement( 'div' );
+
+		document.body.appendChild( element );
+
+		return ClassicTestEditor.create( element, { plugins: [ Paragraph, UndoFeedback ], undo: { feedback: true } } )
+			.then( classicEditor => {
+				const domConverter = classicEditor.editing.view.domConverter;
+
+				classicEditor.setData( '<p>foo</p><p>bar</p>' );
+
+				classicEditor.model.change( writer => {
+					writer.remove( classicEditor.model.document.getRoot().getChild( 1 ) );
+				} );
+
+				const spy = sinon.spy( domConverter, 'viewRangeToDom' );
+
+				classicEditor.execute( 'undo' );
+
+				sinon.assert.calledOnce( spy );
+				expect( spy.firstCall.returnValue.toString() ).to.equal( 'bar' );
+
+				element.remove();
+
+				return classicEditor.destroy();
+			} );
+	} );
+
+	it( 'should not scroll the view if disabled', () => {
+		return createEditor( { scroll: false } ).then( feedbackEditor => {
+			const spy = sinon.spy( feedbackEditor.editing.mapper, 'toViewRange' );
+
+			feedbackEditor.execute( 'undo' );
+
+			sinon.assert.notCalled( spy );
+			expect( Array.from( feedbackEditor.model.markers.getMarkersGroup( 'undoHighlight' ) ) ).to.have.length( 1 );
+
+			return feedbackEditor.destroy();
+		} );
+	} );
+
+	function createEditor( feedback ) {
+		return ModelTestEditor.create( { plugins: [ UndoFeedback ], undo: { feedback } } ).then( feedbackEditor => {
+			const feedbackRoot = feedbackEditor.model.document.getRoot();
+
+			feedbackEditor.model.change( writer => {
+				writer.insertText( 'foo', { bold: true }, feedbackRoot );
+			} );
+
+			feedbackEditor.model.change( writer => {
+				writer.removeAttribute( 'bold', writer.createRangeIn( feedbackRoot ) );
+			} );
+
+			return feedbackEditor;
+		} );
+	}
+} );
@@ -0,0 +1,371 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document, console */
+
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor';
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import UndoEditing from '../src/undoediting';
+import UndoExport from '../src/undoexport';
+import UndoPersistence from '../src/undopersistence';
+import MemoryHistoryStorage from '../src/memoryhistorystorage';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
+
+describe( 'UndoPersistence', () => {
+	const editorElements = [];
+	let storage;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( () => {
+		storage = new MemoryHistoryStorage();
+	} );
+
+	afterEach( () => {
+		for ( const element of editorElements ) {
+			element.remove();
+		}
+
+		editorElements.length = 0;
+	} );
+
+	it( 'should be named', () => {
+		expect( UndoPersistence.pluginName ).to.equal( 'UndoPersistence' );
+	} );
+
+	it( 'should require UndoEditing and UndoExport', () => {
+		expect( UndoPersistence.requires ).to.deep.equal( [ UndoEditing, UndoExport ] );
+	} );
+
+	it( 'should do nothing if the document ID is not set', () => {
+		const setSpy = sinon.spy( storage, 'set' );
+		const getSpy = sinon.spy( storage, 'get' );
+
+		return createEditor( '<p>foo</p>', {} )
+			.then( editor => {
+				typeIn( editor, 'bar' );
+
+				return editor.destroy();
+			} )
+			.then( () => {
+				sinon.assert.notCalled( setSpy );
+				sinon.assert.notCalled( getSpy );
+			} );
+	} );
+
+	it( 'should save the history when the editor is destroyed', () => {
+		let history;
+
+		return createEditor( '<p>foo</p>', { documentId: 'doc' } )
+			.then( editor => {
+				typeIn( editor, 'bar' );
+				history = editor.plugins.get( UndoExport ).exportHistory();
+
+				return editor.destroy();
+			} )
+			.then( () => storage.get( 'doc' ) )
+			.then( payload => {
+				expect( payload.version ).to.equal( 1 );
+				expect( payload.fingerprint ).to.be.a( 'string' );
+				expect( payload.history ).to.deep.equal( JSON.parse( JSON.stringify( history ) ) );
+			} );
+	} );
+
+	it( 'should restore the history in an editor with the same data', () => {
+		return createEditor( '<p>foo</p>', { documentId: 'doc' } )
+			.then( editor => {
+				typeIn( editor, 'bar' );
+				typeIn( editor, 'baz' );
+				editor.execute( 'undo' );
+
+				return editor.destroy();
+			} )
+			.then( () => createEditor( '<p>foobar</p>', { documentId: 'doc' } ) )
+			.then( editor => {
+				const undoEditing = editor.plugins.get( UndoEditing );
+
+				expect( undoEditing.getUndoStack() ).to.have.length( 1 );
+				expect( undoEditing.getRedoStack() ).to.have.length( 1 );
+
+				editor.execute( 'redo' );
+				expect( editor.getData() ).to.equal( '<p>foobarbaz</p>' );
+
+				editor.execute( 'undo' );
+				editor.execute( 'undo' );
+				expect( editor.getData() ).to.equal( '<p>foo</p>' );
+
+				return editor.destroy();
+			} );
+	} );
+
+	it( 'should use a shared memory storage by default', () => {
+		return createEditor( '<p>foo</p>', { documentId: 'default-storage-doc' }, null )
+			.then( editor => {
+				typeIn( editor, 'bar' );
+
+				return editor.destroy();
+			} )
+			.then( () => createEditor( '<p>foobar</p>', { documentId: 'default-storage-doc' }, null ) )
+			.then( editor => {
+				expect( editor.plugins.get( UndoEditing ).getUndoStack() ).to.have.length( 1 );
+
+				return editor.destroy();
+			} );
+	} );
+
+	describe( 'discarding the history', () => {
+		beforeEach( () => {
+			return createEditor( '<p>foo</p>', { documentId: 'doc' } )
+				.then( editor => {
+					typeIn( editor, 'bar' );
+
+					return editor.destroy();
+				} );
+		} );
+
+		it( 'should discard the history saved for a different content', () => {
+			const removeSpy = sinon.spy( storage, 'remove' );
+
+			return createEditor( '<p>foobaz</p>', { documentId: 'doc' } )
+				.then( editor => {
+					sinon.assert.calledWithExactly( removeSpy, 'doc' );
+					expect( editor.plugins.get( UndoEditing ).getUndoStack() ).to.be.empty;
+					expect( editor.getData() ).to.equal( '<p>foobaz</p>' );
+
+					return editor.destroy();
+				} );
+		} );
+
+		it( 'should discard the history saved in a different format', () => {
+			const removeSpy = sinon.spy( storage, 'remove' );
+
+			return storage.get( 'doc' )
+				.then( payload => storage.set( 'doc', Object.assign( payload, { version: 0 } ) ) )
+				.then( () => createEditor( '<p>foobar</p>', { documentId: 'doc' } ) )
+				.then( editor => {
+					sinon.assert.calledWithExactly( removeSpy, 'doc' );
+					expect( editor.plugins.get( UndoEditing ).getUndoStack() ).to.be.empty;
+
+					return editor.destroy();
+				} );
+		} );
+
+		it( 'should discard the history which cannot be imported', () => {
+			const removeSpy = sinon.spy( storage, 'remove' );
+
+			return storage.get( 'doc' )
+				.then( payload => {
+					payload.history.undoStack[ 0 ].batches = [ [ 100 ] ];
+
+					return storage.set( 'doc', payload );
+				} )
+				.then( () => createEditor( '<p>foobar</p>', { documentId: 'doc' } ) )
+				.then( editor => {
+					sinon.assert.calledWithExactly( removeSpy, 'doc' );
+					expect( editor.plugins.get( UndoEditing ).getUndoStack() ).to.be.empty;
+					expect( editor.getData() ).to.equal( '<p>foobar</p>' );
+
+					return editor.destroy();
+				} );
+		} );
+	} );
+
+	describe( 'periodic save', () => {
+		let clock;
+
+		beforeEach( () => {
+			clock = sinon.useFakeTimers();
+		} );
+
+		afterEach( () => {
+			clock.restore();
+		} );
+
+		it( 'should save the changed history after the save interval', () => {
+			const setSpy = sinon.spy( storage, 'set' );
+			let editor;
+
+			return createEditor( '<p>foo</p>', { documentId: 'doc', saveInterval: 1000 } )
+				.then( newEditor => {
+					editor = newEditor;
+
+					clock.tick( 1000 );
+					sinon.assert.notCalled( setSpy );
+
+					typeIn( editor, 'bar' );
+					clock.tick( 1000 );
+
+					return editor.plugins.get( UndoPersistence )._loading;
+				} )
+				.then( () => {
+					sinon.assert.calledOnce( setSpy );
+
+					clock.tick( 1000 );
+					sinon.assert.calledOnce( setSpy );
+
+					return editor.destroy();
+				} );
+		} );
+	} );
+
+	describe( 'storage errors', () => {
+		let warnStub;
+
+		beforeEach( () => {
+			warnStub = testUtils.sinon.stub( console, 'warn' );
+		} );
+
+		it( 'should not reject when the history cannot be saved', () => {
+			const error = new Error( 'Storage is full.' );
+
+			testUtils.sinon.stub( storage, 'set' ).rejects( error );
+
+			return createEditor( '<p>foo</p>', { documentId: 'doc' } )
+				.then( editor => {
+					typeIn( editor, 'bar' );
+
+					return editor.plugins.get( UndoPersistence ).save()
+						.then( isSaved => {
+							expect( isSaved ).to.be.false;
+							expect( editor.plugins.get( UndoPersistence )._isDirty ).to.be.true;
+							sinon.assert.calledWithExactly( warnStub, sinon.match( /^undopersistence-save-failed/ ), error );
+
+							return editor.destroy();
+						} );
+				} )
+				.then( () => {
+					sinon.assert.calledTwice( warnStub );
+				} );
+		} );
+
+		it( 'should keep the current history when the history cannot be loaded', () => {
+			const error = new Error( 'Storage is not available.' );
+			const setSpy = sinon.spy( storage, 'set' );
+
+			testUtils.sinon.stub( storage, 'get' ).rejects( error );
+
+			return createEditor( '<p>foo</p>', { documentId: 'doc' } )
+				.then( editor => {
+					const undoPersistence = editor.plugins.get( UndoPersistence );
+
+					return undoPersistence._loading.then( isLoaded => {
+						expect( isLoaded ).to.be.false;
+						sinon.assert.calledWithExactly( warnStub, sinon.match( /^undopersistence-load-failed/ ), error );
+
+						typeIn( editor, 'bar' );
+
+						expect( editor.plugins.get( UndoEditing ).getUndoStack() ).to.have.length( 1 );
+
+						return undoPersistence.save();
+					} ).then( isSaved => {
+						expect( isSaved ).to.be.true;
+						sinon.assert.calledOnce( setSpy );
+
+						return editor.destroy();
+					} );
+				} );
+		} );
+
+		it( 'should not fail the editor creation when the storage throws', () => {
+			const error = new SyntaxError( 'Unexpected token in JSON.' );
+
+			testUtils.sinon.stub( storage, 'get' ).throws( error );
+			testUtils.sinon.stub( storage, 'set' ).throws( error );
+
+			return createEditor( '<p>foo</p>', { documentId: 'doc' } )
+				.then( editor => {
+					const undoPersistence = editor.plugins.get( UndoPersistence );
+
+					return undoPersistence._loading
+						.then( isLoaded => {
+							expect( isLoaded ).to.be.false;
+							sinon.assert.calledWithExactly( warnStub, sinon.match( /^undopersistence-load-failed/ ), error );
+
+							typeIn( editor, 'bar' );
+
+							return undoPersistence.save();
+						} )
+						.then( isSaved => {
+							expect( isSaved ).to.be.false;
+							sinon.assert.calledWithExactly( warnStub, sinon.match( /^undopersistence-save-failed/ ), error );
+
+							return editor.destroy();
+						} );
+				} );
+		} );
+
+		it( 'should retry the periodic save when the history cannot be saved', () => {
+			const clock = testUtils.sinon.useFakeTimers();
+			const setStub = testUtils.sinon.stub( storage, 'set' ).rejects( new Error( 'Storage is full.' ) );
+			let editor, undoPersistence, saveSpy;
+
+			return createEditor( '<p>foo</p>', { documentId: 'doc', saveInterval: 1000 } )
+				.then( newEditor => {
+					editor = newEditor;
+					undoPersistence = editor.plugins.get( UndoPersistence );
+					saveSpy = testUtils.sinon.spy( undoPersistence, 'save' );
+
+					typeIn( editor, 'bar' );
+					clock.tick( 1000 );
+
+					return saveSpy.lastCall.returnValue;
+				} )
+				.then( isSaved => {
+					expect( isSaved ).to.be.false;
+					expect( undoPersistence._isDirty ).to.be.true;
+					sinon.assert.calledOnce( warnStub );
+
+					setStub.resolves();
+					clock.tick( 1000 );
+
+					return saveSpy.lastCall.returnValue;
+				} )
+				.then( isSaved => {
+					expect( isSaved ).to.be.true;
+					expect( undoPersistence._isDirty ).to.be.false;
+					sinon.assert.calledTwice( setStub );
+					sinon.assert.calledOnce( warnStub );
+
+					return editor.destroy();
+				} );
+		} );
+	} );
+
+	function createEditor( data, persistenceConfig, historyStorage = storage ) {
+		const element = document.createElement( 'div' );
+
+		element.innerHTML = data;
+		document.body.appendChild( element );
+		editorElements.push( element );
+
+		class StoragePlugin extends Plugin {
+			static get requires() {
+				return [ UndoPersistence ];
+			}
+
+			init() {
+				if ( historyStorage ) {
+					this.editor.plugins.get( UndoPersistence ).storage = historyStorage;
+				}
+			}
+		}
+
+		return ClassicTestEditor.create( element, {
+			plugins: [ Paragraph, UndoEditing, StoragePlugin ],
+			undo: {
+				persistence: persistenceConfig
+			}
+		} );
+	}
+
+	function typeIn( editor, text ) {
+		editor.model.change( writer => {
+			const paragraph = editor.model.document.getRoot().getChild( 0 );
+
+			writer.insertText( text, paragraph, 'end' );
+		} );
+	}
+} );
@@ -0,0 +1,215 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor';
+import UndoScope from '../src/undoscope';
+import { stringify } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+
+describe( 'UndoScope', () => {
+	let editor, model, fragment, scope;
+
+	beforeEach( () => {
+		editor = new ModelTestEditor();
+		model = editor.model;
+
+		model.change( writer => {
+			fragment = writer.createDocumentFragment();
+
+			writer.insertElement( 'paragraph', fragment );
+		} );
+
+		scope = new UndoScope( editor, fragment );
+	} );
+
+	afterEach( () => {
+		scope.destroy();
+	} );
+
+	it( 'should undo and redo the changes made in the tree', () => {
+		insertText( 'foo' );
+		insertText( 'bar' );
+
+		expect( scope.canUndo ).to.be.true;
+		expect( scope.canRedo ).to.be.false;
+
+		scope.undo();
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>foo</paragraph>' );
+		expect( scope.canRedo ).to.be.true;
+
+		scope.undo();
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph></paragraph>' );
+		expect( scope.canUndo ).to.be.false;
+
+		scope.redo();
+		scope.redo();
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>foobar</paragraph>' );
+		expect( scope.canRedo ).to.be.false;
+	} );
+
+	it( 'should restore the removed content', () => {
+		insertText( 'foobar' );
+
+		model.change( writer => {
+			writer.remove( writer.createRange( writer.createPositionAt( paragraph(), 1 ), writer.createPositionAt( paragraph(), 4 ) ) );
+		} );
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>far</paragraph>' );
+
+		scope.undo();
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>foobar</paragraph>' );
+
+		scope.redo();
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>far</paragraph>' );
+	} );
+
+	it( 'should not change the operations applied to the tree', () => {
+		insertText( 'foobar' );
+
+		const batch = model.createBatch();
+
+		model.enqueueChange( batch, writer => {
+			writer.remove( writer.createRange( writer.createPositionAt( paragraph(), 1 ), writer.createPositionAt( paragraph(), 4 ) ) );
+		} );
+
+		expect( batch.operations.map( operation => operation.type ) ).to.deep.equal( [ 'detach' ] );
+		expect( batch.operations[ 0 ].baseVersion ).to.be.null;
+		expect( batch.operations[ 0 ].isDocumentOperation ).to.be.false;
+	} );
+
+	it( 'should undo and redo the insertion of the removed content', () => {
+		insertText( 'foobar' );
+
+		model.change( writer => {
+			writer.remove( writer.createRange( writer.createPositionAt( paragraph(), 1 ), writer.createPositionAt( paragraph(), 4 ) ) );
+		} );
+
+		scope.undo();
+		scope.undo();
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph></paragraph>' );
+
+		scope.redo();
+		scope.redo();
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>far</paragraph>' );
+
+		scope.undo();
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>foobar</paragraph>' );
+	} );
+
+	it( 'should keep at most the configured number of steps', () => {
+		scope.destroy();
+		editor.config.set( 'undo.stackSize', 2 );
+		scope = new UndoScope( editor, fragment );
+
+		insertText( 'foo' );
+		insertText( 'bar' );
+		insertText( 'baz' );
+
+		scope.undo();
+		scope.undo();
+		scope.undo();
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>foo</paragraph>' );
+		expect( scope.canUndo ).to.be.false;
+	} );
+
+	it( 'should undo splitting and merging elements', () => {
+		insertText( 'foobar' );
+
+		model.change( writer => {
+			writer.split( writer.createPositionAt( paragraph(), 3 ) );
+		} );
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+		model.change( writer => {
+			writer.merge( writer.createPositionAt( fragment, 1 ) );
+		} );
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>foobar</paragraph>' );
+
+		scope.undo();
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+		scope.undo();
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>foobar</paragraph>' );
+	} );
+
+	it( 'should transform the reverted changes by the later changes', () => {
+		insertText( 'foo' );
+
+		model.enqueueChange( 'transparent', writer => {
+			writer.insertText( 'bar', paragraph(), 0 );
+		} );
+
+		scope.undo();
+
+		expect( stringify( fragment ) ).to.equal( '<paragraph>bar</paragraph>' );
+	} );
+
+	it( 'should clear the redo stack on new changes', () => {
+		insertText( 'foo' );
+		scope.undo();
+
+		insertText( 'bar' );
+
+		expect( scope.canRedo ).to.be.false;
+	} );
+
+	it( 'should not record the changes made outside of the tree', () => {
+		model.change( writer => {
+			writer.insertText( 'foo', model.document.getRoot() );
+			writer.insertText( 'bar', writer.createDocumentFragment() );
+		} );
+
+		expect( scope.canUndo ).to.be.false;
+	} );
+
+	it( 'should not record the transparent batches', () => {
+		model.enqueueChange( 'transparent', writer => {
+			writer.insertText( 'foo', paragraph() );
+		} );
+
+		expect( scope.canUndo ).to.be.false;
+	} );
+
+	it( 'should remove all steps when cleared', () => {
+		insertText( 'foo' );
+		insertText( 'bar' );
+		scope.undo();
+
+		scope.clear();
+
+		expect( scope.canUndo ).to.be.false;
+		expect( scope.canRedo ).to.be.false;
+	} );
+
+	it( 'should not record the changes after it was destroyed', () => {
+		scope.destroy();
+
+		insertText( 'foo' );
+
+		expect( scope.canUndo ).to.be.false;
+	} );
+
+	function paragraph() {
+		return fragment.getChild( 0 );
+	}
+
+	function insertText( text ) {
+		model.change( writer => {
+			writer.insertText( text, paragraph(), 'end' );
+		} );
+	}
+} );
@@ -3,13 +3,19 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-/* globals document */
+/* globals document, Event */
 
 import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor';
 import UndoEditing from '../src/undoediting';
 import UndoUI from '../src/undoui';
-import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview';
+import UndoBranches from '../src/undobranches';
+import DropdownView from '@ckeditor/ckeditor5-ui/src/dropdown/dropdownview';
+import SplitButtonView from '@ckeditor/ckeditor5-ui/src/dropdown/button/splitbuttonview';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import UndoHistoryView from '../src/ui/undohistoryview';
 import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
+import { getData as getViewData } from '@ckeditor/ckeditor5-engine/src/dev-utils/view';
+import { getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
 
 import undoIcon from '../theme/icons/undo.svg';
 import redoIcon from '../theme/icons/redo.svg';
@@ -35,19 +41,39 @@ describe( 'UndoUI', () => {
 		return editor.destroy();
 	} );
 
+	it( 'should require UndoEditing and UndoBranches', () => {
+		expect( UndoUI.requires ).to.deep.equal( [ UndoEditing, UndoBranches ] );
+	} );
+
+	it( 'should load the undo editing when loaded alone', () => {
+		const element = document.createElement( 'div' );
+		document.body.appendChild( element );
+
+		return ClassicTestEditor.create( element, { plugins: [ UndoUI ] } )
+			.then( newEditor => {
+				expect( newEditor.plugins.get( UndoEditing ) ).to.be.instanceOf( UndoEditing );
+				expect( newEditor.ui.componentFactory.create( 'undo' ).buttonView.keystroke ).to.equal( 'CTRL+Z' );
+
+				return newEditor.destroy();
+			} )
+			.then( () => {
+				element.remove();
+			} );
+	} );
+
 	testButton( 'undo', 'Undo', 'CTRL+Z' );
 	testButton( 'redo', 'Redo', 'CTRL+Y' );
 
 	describe( 'icons', () => {
 		describe( 'left–to–right UI', () => {
 			it( 'should display the right icon for undo', () => {
-				const undoButton = editor.ui.componentFactory.create( 'undo' );
+				const undoButton = editor.ui.componentFactory.create( 'undo' ).buttonView;
 
 				expect( undoButton.icon ).to.equal( undoIcon );
 			} );
 
 			it( 'should display the right icon for redo', () => {
-				const redoButton = editor.ui.componentFactory.create( 'redo' );
+				const redoButton = editor.ui.componentFactory.create( 'redo' ).buttonView;
 
 				expect( redoButton.icon ).to.equal( redoIcon );
 			} );
@@ -64,7 +90,7 @@ describe( 'UndoUI', () => {
 						language: 'ar'
 					} )
 					.then( newEditor => {
-						const undoButton = newEditor.ui.componentFactory.create( 'undo' );
+						const undoButton = newEditor.ui.componentFactory.create( 'undo' ).buttonView;
 
 						expect( undoButton.icon ).to.equal( redoIcon );
 
@@ -85,7 +111,7 @@ describe( 'UndoUI', () => {
 						language: 'ar'
 					} )
 					.then( newEditor => {
-						const redoButton = newEditor.ui.componentFactory.create( 'redo' );
+						const redoButton = newEditor.ui.componentFactory.create( 'redo' ).buttonView;
 
 						expect( redoButton.icon ).to.equal( undoIcon );
 
@@ -98,16 +124,472 @@ describe( 'UndoUI', () => {
 		} );
 	} );
 
+	describe( 'history dropdown', () => {
+		let historyEditor, historyElement, root;
+
+		beforeEach( () => {
+			historyElement = document.createElement( 'div' );
+			document.body.appendChild( historyElement );
+
+			return ClassicTestEditor.create( historyElement, { plugins: [ Paragraph, UndoEditing, UndoUI ] } )
+				.then( newEditor => {
+					historyEditor = newEditor;
+					root = historyEditor.model.document.getRoot();
+
+					for ( const text of [ 'foo', 'bar', 'baz' ] ) {
+						historyEditor.model.change( writer => {
+							writer.insertText( text, root.getChild( 0 ), 'end' );
+						} );
+					}
+				} );
+		} );
+
+		afterEach( () => {
+			historyElement.remove();
+
+			return historyEditor.destroy();
+		} );
+
+		it( 'should list the most recent steps with their labels when opened', () => {
+			const dropdown = historyEditor.ui.componentFactory.create( 'undo' );
+
+			historyEditor.model.change( writer => {
+				writer.setAttribute( 'bold', true, writer.createRangeIn( root.getChild( 0 ) ) );
+			} );
+
+			dropdown.render();
+			dropdown.isOpen = true;
+
+			const labels = Array.from( dropdown.listView.items ).map( item => item.children.first.label );
+
+			expect( labels ).to.deep.equal( [ 'Formatting', 'Typing', 'Typing', 'Typing' ] );
+
+			dropdown.destroy();
+		} );
+
+		it( 'should use the step number as a label of steps without a label', () => {
+			const dropdown = historyEditor.ui.componentFactory.create( 'undo' );
+			const paragraph = root.getChild( 0 );
+
+			historyEditor.model.change( writer => {
+				writer.move( writer.createRange( writer.createPositionAt( paragraph, 0 ), writer.createPositionAt( paragraph, 3 ) ),
+					writer.createPositionAt( paragraph, 'end' ) );
+			} );
+
+			dropdown.render();
+			dropdown.isOpen = true;
+
+			expect( dropdown.listView.items.first.children.first.label ).to.equal( 'Step 1' );
+
+			dropdown.destroy();
+		} );
+
+		it( 'should refresh the list each time it is opened', () => {
+			const dropdown = historyEditor.ui.componentFactory.create( 'undo' );
+
+			dropdown.render();
+			dropdown.isOpen = true;
+			dropdown.isOpen = false;
+
+			historyEditor.execute( 'undo' );
+			dropdown.isOpen = true;
+
+			expect( dropdown.listView.items.length ).to.equal( 2 );
+
+			dropdown.destroy();
+		} );
+
+		it( 'should undo all steps down to the picked one as one action', () => {
+			const dropdown = historyEditor.ui.componentFactory.create( 'undo' );
+			const redoCommand = historyEditor.commands.get( 'redo' );
+
+			dropdown.render();
+			dropdown.isOpen = true;
+
+			dropdown.listView.items.get( 1 ).children.first.fire( 'execute' );
+
+			expect( root.getChild( 0 ).getChild( 0 ).data ).to.equal( 'foo' );
+			expect( redoCommand._stack ).to.have.length( 1 );
+
+			dropdown.destroy();
+		} );
+
+		it( 'should redo all steps up to the picked one as one action', () => {
+			const dropdown = historyEditor.ui.componentFactory.create( 'redo' );
+			const undoCommand = historyEditor.commands.get( 'undo' );
+
+			historyEditor.execute( 'undo' );
+			historyEditor.execute( 'undo' );
+			historyEditor.execute( 'undo' );
+
+			dropdown.render();
+			dropdown.isOpen = true;
+
+			dropdown.listView.items.get( 1 ).children.first.fire( 'execute' );
+
+			expect( root.getChild( 0 ).getChild( 0 ).data ).to.equal( 'foobar' );
+			expect( undoCommand._stack ).to.have.length( 1 );
+
+			dropdown.destroy();
+		} );
+
+		it( 'should describe the step that will be reverted in the button tooltip', () => {
+			const undoButton = historyEditor.ui.componentFactory.create( 'undo' ).buttonView;
+			const redoButton = historyEditor.ui.componentFactory.create( 'redo' ).buttonView;
+
+			expect( undoButton.tooltip( 'Undo', 'Ctrl+Z' ) ).to.equal( 'Undo: Typing (Ctrl+Z)' );
+			expect( redoButton.tooltip ).to.be.true;
+
+			historyEditor.execute( 'undo' );
+
+			expect( redoButton.tooltip( 'Redo', 'Ctrl+Y' ) ).to.equal( 'Redo: Typing (Ctrl+Y)' );
+			expect( redoButton.tooltip( 'Redo' ) ).to.equal( 'Redo: Typing' );
+
+			historyEditor.execute( 'undo' );
+			historyEditor.execute( 'undo' );
+
+			expect( undoButton.tooltip ).to.be.true;
+		} );
+
+		it( 'should list at most 10 steps', () => {
+			const dropdown = historyEditor.ui.componentFactory.create( 'undo' );
+
+			for ( let i = 0; i < 10; i++ ) {
+				historyEditor.model.change( writer => {
+					writer.insertText( 'x', root.getChild( 0 ), 'end' );
+				} );
+			}
+
+			dropdown.render();
+			dropdown.isOpen = true;
+
+			expect( dropdown.listView.items.length ).to.equal( 10 );
+
+			dropdown.destroy();
+		} );
+
+		it( 'should mark the content which executing the command would change while the button is pointed', () => {
+			const dropdown = historyEditor.ui.componentFactory.create( 'undo' );
+
+			dropdown.render();
+
+			const actionElement = dropdown.buttonView.actionView.element;
+
+			actionElement.dispatchEvent( new Event( 'mouseenter' ) );
+
+			expect( getViewData( historyEditor.editing.view, { withoutSelection: true } ) )
+				.to.equal( '<p>foobar<span class="ck-undo-preview">baz</span></p>' );
+
+			actionElement.dispatchEvent( new Event( 'mouseleave' ) );
+
+			expect( Array.from( historyEditor.model.markers.getMarkersGroup( 'undoPreview' ) ) ).to.be.empty;
+
+			dropdown.destroy();
+		} );
+
+		it( 'should remove the preview when the button is executed', () => {
+			const dropdown = historyEditor.ui.componentFactory.create( 'undo' );
+
+			dropdown.render();
+			dropdown.buttonView.actionView.element.dispatchEvent( new Event( 'mouseenter' ) );
+			dropdown.buttonView.fire( 'execute' );
+
+			expect( Array.from( historyEditor.model.markers.getMarkersGroup( 'undoPreview' ) ) ).to.be.empty;
+			expect( root.getChild( 0 ).getChild( 0 ).data ).to.equal( 'foobar' );
+
+			dropdown.destroy();
+		} );
+	} );
+
+	describe( 'history panel', () => {
+		let historyEditor, historyElement, root, dropdown, historyView;
+
+		beforeEach( () => {
+			historyElement = document.createElement( 'div' );
+			document.body.appendChild( historyElement );
+
+			return ClassicTestEditor.create( historyElement, { plugins: [ Paragraph, UndoEditing, UndoUI ] } )
+				.then( newEditor => {
+					historyEditor = newEditor;
+					root = historyEditor.model.document.getRoot();
+
+					for ( const text of [ 'foo', 'bar', 'baz' ] ) {
+						historyEditor.model.change( writer => {
+							writer.insertText( text, root.getChild( 0 ), 'end' );
+						} );
+					}
+
+					dropdown = historyEditor.ui.componentFactory.create( 'undoHistory' );
+					dropdown.render();
+					document.body.appendChild( dropdown.element );
+
+					historyView = dropdown.panelView.children.first;
+				} );
+		} );
+
+		afterEach( () => {
+			dropdown.element.remove();
+			dropdown.destroy();
+			historyElement.remove();
+
+			return historyEditor.destroy();
+		} );
+
+		it( 'should register the undoHistory dropdown', () => {
+			expect( dropdown ).to.be.instanceOf( DropdownView );
+			expect( dropdown.buttonView.label ).to.equal( 'History' );
+			expect( dropdown.buttonView.withText ).to.be.true;
+			expect( historyView ).to.be.instanceOf( UndoHistoryView );
+		} );
+
+		it( 'should be enabled only if there is something to undo', () => {
+			expect( dropdown.isEnabled ).to.be.true;
+
+			historyEditor.commands.get( 'undo' ).clearStack();
+
+			expect( dropdown.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be disabled in the read-only mode', () => {
+			historyEditor.isReadOnly = true;
+
+			expect( dropdown.isEnabled ).to.be.false;
+
+			historyEditor.isReadOnly = false;
+
+			expect( dropdown.isEnabled ).to.be.true;
+		} );
+
+		it( 'should list all steps even if the command is disabled where the selection is', () => {
+			const command = historyEditor.commands.get( 'undo' );
+
+			sinon.stub( command, '_getCurrentStack' ).returns( [] );
+			command.refresh();
+
+			expect( command.isEnabled ).to.be.false;
+			expect( dropdown.isEnabled ).to.be.true;
+
+			dropdown.isOpen = true;
+
+			expect( historyView.listView.items.length ).to.equal( 3 );
+		} );
+
+		it( 'should number the steps without a label from the oldest one', () => {
+			const command = historyEditor.commands.get( 'undo' );
+
+			command._stack.forEach( item => delete item.label );
+			dropdown.isOpen = true;
+
+			expect( Array.from( historyView.listView.items, item => item.element.textContent ) ).to.deep.equal( [
+				'Change 3Revert this change', 'Change 2Revert this change', 'Change 1Revert this change'
+			] );
+		} );
+
+		it( 'should list all steps from the newest one when opened', () => {
+			historyEditor.model.change( writer => {
+				writer.setAttribute( 'bold', true, writer.createRangeIn( root.getChild( 0 ) ) );
+			} );
+
+			dropdown.isOpen = true;
+
+			const items = Array.from( historyView.listView.items );
+
+			expect( items.map( item => item.batch ) ).to.deep.equal(
+				historyEditor.commands.get( 'undo' )._stack.map( item => item.batch ).reverse()
+			);
+			expect( items[ 0 ].element.textContent ).to.equal( 'FormattingRevert this change' );
+		} );
+
+		it( 'should revert only the chosen step', () => {
+			dropdown.isOpen = true;
+
+			historyView.listView.items.get( 1 ).buttonView.fire( 'execute' );
+
+			expect( root.getChild( 0 ).getChild( 0 ).data ).to.equal( 'foobaz' );
+			expect( historyEditor.commands.get( 'undo' )._stack ).to.have.length( 2 );
+			expect( historyEditor.commands.get( 'redo' )._stack ).to.have.length( 1 );
+			expect( dropdown.isOpen ).to.be.false;
+		} );
+
+		it( 'should revert the chosen step even if the command is disabled where the selection is', () => {
+			const command = historyEditor.commands.get( 'undo' );
+			const batch = command._stack[ 1 ].batch;
+
+			sinon.stub( command, '_getCurrentStack' ).returns( [] );
+			command.refresh();
+
+			expect( command.isEnabled ).to.be.false;
+
+			historyView.fire( 'revert', batch );
+
+			expect( root.getChild( 0 ).getChild( 0 ).data ).to.equal( 'foobaz' );
+		} );
+
+		it( 'should mark the content which reverting the pointed step would change', () => {
+			const command = historyEditor.commands.get( 'undo' );
+			const spy = sinon.spy( command, 'preview' );
+
+			dropdown.isOpen = true;
+			historyView.fire( 'preview', command._stack[ 1 ].batch );
+
+			sinon.assert.calledWithExactly( spy, command._stack[ 1 ].batch );
+		} );
+
+		it( 'should mark the content changed by the pointed step', () => {
+			dropdown.isOpen = true;
+
+			historyView.listView.items.get( 1 ).element.dispatchEvent( new Event( 'mouseenter' ) );
+
+			const markers = Array.from( historyEditor.model.markers.getMarkersGroup( 'undoPreview' ) );
+
+			expect( markers ).to.have.length( 1 );
+			expect( markers[ 0 ].getStart().path ).to.deep.equal( [ 0, 3 ] );
+			expect( markers[ 0 ].getEnd().path ).to.deep.equal( [ 0, 6 ] );
+			expect( getViewData( historyEditor.editing.view, { withoutSelection: true } ) )
+				.to.equal( '<p>foo<span class="ck-undo-preview">bar</span>baz</p>' );
+
+			historyView.listView.items.get( 1 ).element.dispatchEvent( new Event( 'mouseleave' ) );
+
+			expect( Array.from( historyEditor.model.markers.getMarkersGroup( 'undoPreview' ) ) ).to.be.empty;
+		} );
+
+		it( 'should remove the preview when the dropdown is closed', () => {
+			dropdown.isOpen = true;
+			historyView.fire( 'preview', historyView.listView.items.first.batch );
+
+			expect( Array.from( historyEditor.model.markers.getMarkersGroup( 'undoPreview' ) ) ).to.have.length( 1 );
+
+			dropdown.isOpen = false;
+
+			expect( Array.from( historyEditor.model.markers.getMarkersGroup( 'undoPreview' ) ) ).to.be.empty;
+		} );
+
+		it( 'should not add the preview to the undo stack', () => {
+			dropdown.isOpen = true;
+			historyView.fire( 'preview', historyView.listView.items.first.batch );
+			historyView.fire( 'preview', null );
+
+			expect( historyEditor.commands.get( 'undo' )._stack ).to.have.length( 3 );
+		} );
+	} );
+
+	describe( 'branches dropdown', () => {
+		let branchesEditor, branchesElement, root;
+
+		beforeEach( () => {
+			branchesElement = document.createElement( 'div' );
+			document.body.appendChild( branchesElement );
+
+			const config = { plugins: [ Paragraph, UndoEditing, UndoUI ], undo: { keepBranches: true } };
+
+			return ClassicTestEditor.create( branchesElement, config )
+				.then( newEditor => {
+					branchesEditor = newEditor;
+					root = branchesEditor.model.document.getRoot();
+
+					for ( const text of [ 'foo', 'bar' ] ) {
+						insertText( text );
+					}
+				} );
+		} );
+
+		afterEach( () => {
+			branchesElement.remove();
+
+			return branchesEditor.destroy();
+		} );
+
+		it( 'should be enabled only if there are abandoned branches', () => {
+			const dropdown = branchesEditor.ui.componentFactory.create( 'undoBranches' );
+
+			expect( dropdown.buttonView.label ).to.equal( 'Branches' );
+			expect( dropdown.isEnabled ).to.be.false;
+
+			branchesEditor.execute( 'undo' );
+			insertText( 'baz' );
+
+			expect( dropdown.isEnabled ).to.be.true;
+
+			dropdown.destroy();
+		} );
+
+		it( 'should list the branches starting from the most recent one and switch to the picked one', () => {
+			const dropdown = branchesEditor.ui.componentFactory.create( 'undoBranches' );
+
+			branchesEditor.execute( 'undo' );
+			insertText( 'baz' );
+			branchesEditor.execute( 'undo' );
+			insertText( 'qux' );
+
+			dropdown.render();
+			dropdown.isOpen = true;
+
+			const buttons = Array.from( dropdown.listView.items ).map( item => item.children.first );
+
+			expect( buttons.map( button => button.label ) ).to.deep.equal( [ 'Branch 2: Typing', 'Branch 1: Typing' ] );
+			expect( buttons.every( button => button.isEnabled ) ).to.be.true;
+
+			buttons[ 1 ].fire( 'execute' );
+			branchesEditor.execute( 'redo' );
+
+			expect( getModelData( branchesEditor.model, { withoutSelection: true } ) ).to.equal( '<paragraph>foobar</paragraph>' );
+
+			dropdown.destroy();
+		} );
+
+		function insertText( text ) {
+			branchesEditor.model.change( writer => {
+				writer.insertText( text, root.getChild( 0 ), 'end' );
+			} );
+		}
+	} );
+
+	describe( 'keystrokes configuration', () => {
+		let keystrokesEditor, keystrokesElement;
+
+		afterEach( () => {
+			keystrokesElement.remove();
+
+			return keystrokesEditor.destroy();
+		} );
+
+		it( 'should show the first configured keystroke of the command', () => {
+			return createEditor( { undo: [ 'ALT+BACKSPACE', 'CTRL+Z' ] } ).then( () => {
+				expect( keystrokesEditor.ui.componentFactory.create( 'undo' ).buttonView.keystroke ).to.equal( 'ALT+BACKSPACE' );
+				expect( keystrokesEditor.ui.componentFactory.create( 'redo' ).buttonView.keystroke ).to.equal( 'CTRL+Y' );
+			} );
+		} );
+
+		it( 'should not show keystrokes if they are disabled', () => {
+			return createEditor( false ).then( () => {
+				expect( keystrokesEditor.ui.componentFactory.create( 'undo' ).buttonView.keystroke ).to.be.undefined;
+				expect( keystrokesEditor.ui.componentFactory.create( 'redo' ).buttonView.keystroke ).to.be.undefined;
+			} );
+		} );
+
+		function createEditor( keystrokes ) {
+			keystrokesElement = document.createElement( 'div' );
+			document.body.appendChild( keystrokesElement );
+
+			return ClassicTestEditor.create( keystrokesElement, { plugins: [ UndoEditing, UndoUI ], undo: { keystrokes } } )
+				.then( newEditor => {
+					keystrokesEditor = newEditor;
+				} );
+		}
+	} );
+
 	function testButton( featureName, label, featureKeystroke ) {
 		describe( `${ featureName } button`, () => {
-			let button;
+			let dropdown, button;
 
 			beforeEach( () => {
-				button = editor.ui.componentFactory.create( featureName );
+				dropdown = editor.ui.componentFactory.create( featureName );
+				button = dropdown.buttonView;
 			} );
 
 			it( 'should register feature component', () => {
-				expect( button ).to.be.instanceOf( ButtonView );
+				expect( dropdown ).to.be.instanceOf( DropdownView );
+				expect( button ).to.be.instanceOf( SplitButtonView );
 			} );
 
 			it( 'should create UI component with correct attribute values', () => {
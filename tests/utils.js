@@ -0,0 +1,131 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import Model from '@ckeditor/ckeditor5-engine/src/model/model';
+import { replaceTemporaryMarkers, getOperationRoots, getOperationPositions, createStepDescriptor } from '../src/utils';
+
+describe( 'utils', () => {
+	describe( 'replaceTemporaryMarkers()', () => {
+		let model, root;
+
+		beforeEach( () => {
+			model = new Model();
+			root = model.document.createRoot();
+
+			model.change( writer => {
+				writer.insertText( 'foobar', root );
+			} );
+		} );
+
+		it( 'should mark given ranges with the markers which do not affect the data', () => {
+			const range = model.createRange( model.createPositionAt( root, 1 ), model.createPositionAt( root, 4 ) );
+			const names = replaceTemporaryMarkers( model, 'test', [], [ range ] );
+			const marker = model.markers.get( 'test:0' );
+
+			expect( names ).to.deep.equal( [ 'test:0' ] );
+			expect( marker.getRange().isEqual( range ) ).to.be.true;
+			expect( marker.managedUsingOperations ).to.be.false;
+			expect( marker.affectsData ).to.be.false;
+			expect( model.document.version ).to.equal( 1 );
+		} );
+
+		it( 'should remove the previous markers', () => {
+			const range = model.createRangeIn( root );
+			const names = replaceTemporaryMarkers( model, 'test', [], [ range, range ] );
+
+			expect( replaceTemporaryMarkers( model, 'test', names, [] ) ).to.be.empty;
+			expect( Array.from( model.markers.getMarkersGroup( 'test' ) ) ).to.be.empty;
+		} );
+
+		it( 'should not change the model if there are no markers to remove or add', () => {
+			const spy = sinon.spy( model, 'change' );
+			const names = [];
+
+			expect( replaceTemporaryMarkers( model, 'test', names, [] ) ).to.equal( names );
+			sinon.assert.notCalled( spy );
+		} );
+	} );
+
+	describe( 'getOperationRoots()', () => {
+		it( 'should return the roots of the operation positions and ranges, including the detached trees', () => {
+			const model = new Model();
+			const root = model.document.createRoot();
+			let fragment, operations;
+
+			model.change( writer => {
+				fragment = writer.createDocumentFragment();
+				writer.insertText( 'foo', fragment );
+				writer.remove( writer.createRangeIn( fragment ) );
+				writer.insertText( 'bar', root );
+				writer.setAttribute( 'bold', true, writer.createRangeIn( root ) );
+
+				operations = writer.batch.operations;
+			} );
+
+			expect( getOperationRoots( operations[ 1 ] ) ).to.deep.equal( [ fragment ] );
+			expect( getOperationRoots( operations[ 3 ] ) ).to.deep.equal( [ root, root ] );
+		} );
+	} );
+
+	describe( 'getOperationPositions()', () => {
+		it( 'should return the operation positions and the boundaries of its ranges', () => {
+			const model = new Model();
+			const root = model.document.createRoot();
+			let operation;
+
+			model.change( writer => {
+				writer.insertText( 'foo', root );
+				const range = writer.createRange( writer.createPositionAt( root, 1 ), writer.createPositionAt( root, 2 ) );
+
+				writer.setAttribute( 'bold', true, range );
+
+				operation = writer.batch.operations[ 1 ];
+			} );
+
+			expect( getOperationPositions( operation ).map( position => position.path ) ).to.deep.equal( [ [ 1 ], [ 2 ] ] );
+		} );
+	} );
+
+	describe( 'createStepDescriptor()', () => {
+		it( 'should return a frozen snapshot of the stack item', () => {
+			const model = new Model();
+			const root = model.document.createRoot();
+			const batch = model.createBatch();
+			const mergedBatch = model.createBatch();
+
+			model.enqueueChange( batch, writer => {
+				writer.insertText( 'foo', root );
+				writer.insertText( 'bar', root );
+			} );
+
+			model.enqueueChange( mergedBatch, writer => {
+				writer.insertText( 'baz', root );
+			} );
+
+			const ranges = [ model.createRangeIn( root ) ];
+			const item = {
+				batch,
+				mergedBatches: [ mergedBatch ],
+				selection: { ranges, isBackward: true, attributes: [ [ 'bold', true ] ], selectedElement: null },
+				timestamp: 1,
+				label: 'Typing'
+			};
+
+			const step = createStepDescriptor( item );
+
+			expect( step ).to.deep.equal( {
+				batch,
+				selection: { ranges, isBackward: true, attributes: [ [ 'bold', true ] ], selectedElement: null },
+				timestamp: 1,
+				operationCount: 3,
+				label: 'Typing'
+			} );
+
+			expect( Object.isFrozen( step ) ).to.be.true;
+			expect( Object.isFrozen( step.selection.ranges ) ).to.be.true;
+			expect( step.selection.ranges ).to.not.equal( ranges );
+		} );
+	} );
+} );